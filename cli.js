@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+import { readFile } from 'node:fs/promises'
+import { homedir } from 'node:os'
+import { join } from 'node:path'
+
+import Trippe, { areaPricesToCsv, calendarToCsv, calendarToIcs, parseBookingPageUrl, ratePresets, TrippeError, ValidationError } from './index.js'
+
+const usage = `Usage: trippe <command> [arguments] [options]
+
+Commands:
+  details <hotelCode>                    Get the details of a hotel
+  calendar <hotelCode> [hotelCode...]    Get the lowest prices for every night in a period
+  stay <hotelCode|url>                   Get all prices for a stay, or reprice the stay of a booking page URL
+  split-stay <hotelCode> [hotelCode...]  Get the cheapest mix of hotels, points and cash nights for a stay
+  area <longitude> <latitude>            Get the lowest prices of the hotels around a location
+  matrix <longitude> <latitude>          Get the lowest prices of the hotels around a location for every night in a period
+  destinations <query>                   Look up the coordinates of a destination
+  book-url <hotelCode>                   Get a link to the booking page of a stay
+
+Options:
+  --include                              Add amenities, policies, contact and/or media, separated by commas (details)
+  --start-date, --end-date               The period of a calendar or matrix (YYYY-MM-DD)
+  --length-of-stay                       The number of nights, or a range such as 2-7 (calendar)
+  --checkin-date, --checkout-date        The dates of a stay (YYYY-MM-DD)
+  --adults, --children                   The number of guests
+  --points-budget, --point-value,        The most points to spend, the value of a point and the cost of moving
+  --switch-penalty                       to another hotel (split-stay)
+  --number-of-rooms, --rate-code,        The number of rooms, the rate to preselect, a corporate id, search for reward
+  --corporate-id, --reward-nights,       nights and show prices in points (book-url)
+  --points-mode
+  --rooms                                The guests in every room as adults:children, separated by commas, e.g. 2:1,2 (stay)
+  --radius, --unit                       The search radius and its unit, mi or km (area)
+  --rate-codes                           reward, member, public, all or a comma-separated list of rate codes
+  --include-details, --include-sold-out  Add the name, brand and distance of hotels, include sold out hotels (area)
+  --brand-codes, --brand-tiers           Only show hotels of these comma-separated brands or tiers (calendar, area)
+  --max-points, --max-cash-price         Only show hotels up to these prices (area)
+  --sort-by                              Sort hotels by distance, points or cashPrice (area)
+  --locale                               The language and market, e.g. fr-FR (details, destinations, book-url)
+  --json                                 Print the result as JSON
+  --csv                                  Print the result as CSV
+  --ics                                  Print the reward nights as an iCalendar file (calendar)
+  --config                               The JSON file to read the apiKey and client options from (defaults to ~/.trippe.json)
+  --help                                 Print this message
+
+The API key is read from the TRIPPE_API_KEY environment variable or the apiKey key of the config file.`
+
+// The options of getStayPrices, also used by book-url
+const stayOptions = ['checkinDate', 'checkoutDate', 'adults', 'children', 'rateCodes']
+
+const commands = {
+  details: {
+    options: ['include', 'locale'],
+    run: (trippe, [hotelCode], options) => trippe.getHotelDetails(hotelCode, options),
+    toRows: hotelDetails => Object.entries(flatten(hotelDetails)).map(([key, value]) => ({ key, value }))
+  },
+  calendar: {
+    options: ['startDate', 'endDate', 'lengthOfStay', 'rateCodes', 'concurrency', 'brandCodes', 'brandTiers'],
+    run: (trippe, hotelCodes, options) => hotelCodes.length > 1
+      ? trippe.getLowestMultiHotelPrices(hotelCodes, options)
+      : trippe.getLowestHotelPrices(hotelCodes[0], options).then(calendar => calendar ? [calendar] : []),
+    toRows: calendars => calendars.flatMap(({ hotelCode, currencyCode, prices }) => prices.map(price => ({ hotelCode, currencyCode, ...price }))),
+    toCsv: calendarToCsv,
+    toIcs: calendarToIcs
+  },
+  stay: {
+    options: [...stayOptions, 'rooms'],
+    run: (trippe, [hotelCode], options) => /^https?:/.test(hotelCode || '')
+      ? repriceBookingPageUrl(trippe, hotelCode, options)
+      : trippe.getStayPrices(hotelCode, options),
+    toRows: ({ currency, prices }) => prices.map(({ points, nights, upsells, ...price }) => ({
+      ...price,
+      currencyCode: currency,
+      upsells: upsells.map(upsell => upsell.priceDifference === null ? upsell.productCode : `${upsell.productCode} +${upsell.priceDifference}`),
+      points: points === null ? null : points.map(option => option.cashPrice ? `${option.points} + ${option.cashPrice} USD` : option.points)
+    }))
+  },
+  'split-stay': {
+    options: ['checkinDate', 'checkoutDate', 'pointsBudget', 'pointValue', 'switchPenalty', 'adults', 'children', 'rateCodes', 'concurrency'],
+    run: (trippe, hotelCodes, options) => trippe.getSplitStayPlan(hotelCodes, options),
+    toRows: plan => plan ? plan.segments : []
+  },
+  area: {
+    options: ['radius', 'unit', 'checkinDate', 'adults', 'children', 'rateCodes', 'includeDetails', 'includeSoldOut', 'brandCodes', 'brandTiers', 'maxPoints', 'maxCashPrice', 'sortBy'],
+    run: (trippe, [longitude, latitude], options) => trippe.getLowestAreaPrices([toNumber(longitude), toNumber(latitude)], options),
+    toRows: hotels => hotels,
+    toCsv: areaPricesToCsv
+  },
+  matrix: {
+    options: ['startDate', 'endDate', 'concurrency', 'radius', 'unit', 'adults', 'children', 'rateCodes', 'brandCodes', 'brandTiers', 'maxPoints', 'maxCashPrice'],
+    run: (trippe, [longitude, latitude], options) => trippe.getAreaPriceMatrix([toNumber(longitude), toNumber(latitude)], options),
+    toRows: ({ dates, hotels }) => hotels.map(({ hotelCode, currencyCode, prices }) => ({
+      hotelCode,
+      currencyCode,
+      ...Object.fromEntries(dates.map((date, i) => [date, `${prices[i].cashPrice ?? '-'} / ${prices[i].points ?? '-'}`]))
+    }))
+  },
+  destinations: {
+    options: ['locale'],
+    run: (trippe, words, options) => trippe.getDestinations(words.join(' '), options),
+    toRows: destinations => destinations.map(({ coordinates: [longitude, latitude], display }) => ({ display, longitude, latitude }))
+  },
+  'book-url': {
+    options: [...stayOptions.filter(option => option !== 'rateCodes'), 'numberOfRooms', 'rateCode', 'rewardNights', 'corporateId', 'pointsMode', 'locale'],
+    run: (trippe, [hotelCode], options) => trippe.getBookingPageUrl(hotelCode, options),
+    toRows: url => [{ url }]
+  }
+}
+
+Promise.resolve(process.argv.slice(2))
+  .then(main)
+  .catch((error) => {
+    const hint = error instanceof ValidationError ? '\nRun trippe --help for usage' : ''
+
+    console.error(`trippe: ${error instanceof TrippeError ? error.message : error.stack}${hint}`)
+    process.exitCode = 1
+  })
+
+/**
+ * Runs the command in argv and prints its result
+ *
+ * @param {string[]} argv The command line arguments, without the node and script paths
+ * @returns {Promise}
+ */
+function main (argv) {
+  const { args: [commandName, ...args], options, flags } = parseArguments(argv)
+
+  if (flags.help || !commandName) {
+    console.log(usage)
+    return Promise.resolve()
+  }
+
+  const command = commands[commandName]
+
+  if (!command) {
+    return Promise.reject(new ValidationError(`Unknown command ${commandName}`))
+  }
+
+  const unknownOption = Object.keys(options).find(option => option !== 'config' && !command.options.includes(option))
+
+  if (unknownOption) {
+    return Promise.reject(new ValidationError(`Unknown option --${toKebabCase(unknownOption)} for ${commandName}`))
+  }
+
+  if (flags.ics && !command.toIcs) {
+    return Promise.reject(new ValidationError(`--ics is not available for ${commandName}`))
+  }
+
+  const { config, ...methodOptions } = options
+
+  return getClient(config)
+    .then(trippe => command.run(trippe, args, parseOptions(methodOptions)))
+    .then((result) => {
+      if (flags.json) {
+        console.log(JSON.stringify(result, null, 2))
+      } else if (typeof result === 'string') {
+        console.log(result)
+      } else if (flags.ics) {
+        process.stdout.write(command.toIcs(result))
+      } else if (flags.csv && command.toCsv) {
+        process.stdout.write(command.toCsv(result))
+      } else {
+        const rows = command.toRows(result)
+        console.log(flags.csv ? formatCsv(rows) : formatTable(rows))
+      }
+
+      // Calendars and matrices may be partial, make sure that doesn't go unnoticed
+      if (commandName === 'calendar') {
+        result.flatMap(calendar => calendar.errors).forEach(({ startDate, endDate, message }) => {
+          console.error(`trippe: no prices from ${startDate} to ${endDate} (${message})`)
+        })
+
+        // Hotels that failed as a whole make the command fail, as a single hotel does
+        if (result.some(calendar => calendar.isValid === false || (calendar.prices.length === 0 && calendar.errors.length > 0))) {
+          process.exitCode = 1
+        }
+      }
+
+      if (commandName === 'matrix') {
+        result.errors.forEach(({ checkinDate, message }) => {
+          console.error(`trippe: no prices for ${checkinDate} (${message})`)
+        })
+      }
+    })
+}
+
+/**
+ * Creates a client with the API key from the environment or the config file
+ *
+ * @param {string} configFile The path of the config file, defaults to ~/.trippe.json
+ * @returns {Promise<Trippe>}
+ */
+function getClient (configFile = join(homedir(), '.trippe.json')) {
+  return readFile(configFile, 'utf8')
+    .then(contents => JSON.parse(contents))
+    .catch((error) => {
+      if (error.code === 'ENOENT') return {}
+      throw new ValidationError(`Could not read config file ${configFile} (${error.message})`)
+    })
+    .then(({ apiKey, ...clientOptions }) => new Trippe(process.env.TRIPPE_API_KEY || apiKey, clientOptions))
+}
+
+/**
+ * Splits the command line arguments into positional arguments, options (with a value) and flags
+ *
+ * @param {string[]} argv The command line arguments
+ * @returns {Object} An object containing args, options and flags keys, options and flags use camelCase keys
+ */
+function parseArguments (argv) {
+  const booleanFlags = ['json', 'csv', 'ics', 'help']
+  const switches = ['includeDetails', 'includeSoldOut', 'rewardNights', 'pointsMode']
+  const args = []
+  const options = {}
+  const flags = {}
+
+  for (let i = 0; i < argv.length; i++) {
+    const argument = argv[i]
+
+    if (!argument.startsWith('--')) {
+      args.push(argument)
+      continue
+    }
+
+    const [name, inlineValue] = argument.slice(2).split(/=(.*)/s)
+    const key = name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())
+
+    if (booleanFlags.includes(key)) {
+      flags[key] = true
+    } else if (switches.includes(key)) {
+      options[key] = true
+    } else if (inlineValue !== undefined) {
+      options[key] = inlineValue
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[key] = argv[++i]
+    } else {
+      throw new ValidationError(`Missing value for --${name}`)
+    }
+  }
+
+  return { args, options, flags }
+}
+
+/**
+ * Gets the prices of the stay on a booking page, with the options given on the command line taking precedence
+ *
+ * @param {Trippe} trippe The client
+ * @param {string} url The url of the booking page
+ * @param {Object} options The parsed options
+ * @returns {Promise<Object>}
+ */
+function repriceBookingPageUrl (trippe, url, options) {
+  const { hotelCode, checkinDate, checkoutDate, rooms, rateCodes } = parseBookingPageUrl(url)
+  const { adults, children, ...rest } = options
+
+  return trippe.getStayPrices(hotelCode, {
+    checkinDate,
+    checkoutDate,
+    rooms: rooms.map(room => ({ adults: adults ?? room.adults, children: children ?? room.children })),
+    rateCodes,
+    ...rest
+  })
+}
+
+/**
+ * Converts option values from strings to the types the library expects, leaving validation to the library
+ *
+ * @param {Object} options The options as strings
+ * @returns {Object}
+ */
+function parseOptions (options) {
+  // Filters are passed as a single filter option
+  const { brandCodes, brandTiers, maxPoints, maxCashPrice, ...rest } = options
+
+  const filter = Object.fromEntries(Object.entries({ brandCodes, brandTiers, maxPoints, maxCashPrice })
+    .filter(([key, value]) => value !== undefined)
+    .map(([key, value]) => [key, key.startsWith('brand') ? value.split(',') : toNumber(value)]))
+
+  const parsedOptions = Object.keys(filter).length > 0 ? { ...rest, filter } : rest
+
+  return Object.fromEntries(Object.entries(parsedOptions).map(([key, value]) => {
+    if (typeof value !== 'string') {
+      return [key, value]
+    }
+
+    if (key === 'lengthOfStay') {
+      return [key, value.includes('-') ? value.split('-').map(toNumber) : toNumber(value)]
+    }
+
+    if (key === 'rateCodes') {
+      return [key, value in ratePresets ? value : value.split(',')]
+    }
+
+    if (key === 'include') {
+      return [key, value.split(',')]
+    }
+
+    if (key === 'rooms') {
+      return [key, value.split(',').map(room => {
+        const [adults, children = '0'] = room.split(':')
+        return { adults: toNumber(adults), children: toNumber(children) }
+      })]
+    }
+
+    if (['adults', 'children', 'numberOfRooms', 'radius', 'concurrency', 'pointsBudget', 'pointValue', 'switchPenalty'].includes(key)) {
+      return [key, toNumber(value)]
+    }
+
+    return [key, value]
+  }))
+}
+
+/**
+ * Converts a numeric string to a number, other strings are returned as they are so the library can reject them
+ *
+ * @param {string} value The value
+ * @returns {number|string}
+ */
+function toNumber (value) {
+  return value !== undefined && value.trim() !== '' && !isNaN(value) ? Number(value) : value
+}
+
+/**
+ * Converts an option key back to the way it is written on the command line
+ *
+ * @param {string} key The key in camelCase
+ * @returns {string}
+ */
+function toKebabCase (key) {
+  return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)
+}
+
+/**
+ * Flattens nested objects into a single object with dotted keys
+ *
+ * @param {Object} object The object
+ * @param {string} prefix The prefix of the keys
+ * @returns {Object}
+ */
+function flatten (object, prefix = '') {
+  return Object.fromEntries(Object.entries(object).flatMap(([key, value]) => {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+      ? Object.entries(flatten(value, `${prefix}${key}.`))
+      : [[`${prefix}${key}`, value]]
+  }))
+}
+
+/**
+ * Formats a value for a table or CSV cell
+ *
+ * @param {*} value The value
+ * @returns {string}
+ */
+function formatValue (value) {
+  if (value === null || value === undefined) return ''
+  if (Array.isArray(value)) return value.map(formatValue).join(', ')
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+/**
+ * Formats rows as a table with aligned columns
+ *
+ * @param {Object[]} rows The rows
+ * @returns {string}
+ */
+function formatTable (rows) {
+  if (rows.length === 0) return 'No results'
+
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))]
+  const cells = [columns, ...rows.map(row => columns.map(column => formatValue(row[column]).replace(/\s+/g, ' ')))]
+  const widths = columns.map((column, index) => Math.max(...cells.map(line => line[index].length)))
+
+  return cells
+    .map(line => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())
+    .join('\n')
+}
+
+/**
+ * Formats rows as CSV
+ *
+ * @param {Object[]} rows The rows
+ * @returns {string}
+ */
+function formatCsv (rows) {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))]
+  const quote = cell => /[",\n\r]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell
+
+  return [columns, ...rows.map(row => columns.map(column => formatValue(row[column])))]
+    .map(line => line.map(quote).join(','))
+    .join('\n')
+}
@@ -1,39 +1,321 @@
 import got from 'got'
 import dayjs from 'dayjs'
 import { readPackageSync } from 'read-pkg'
+import { createHash } from 'node:crypto'
+import { EventEmitter } from 'node:events'
+import { mkdir, readFile, unlink, writeFile } from 'node:fs/promises'
+import { dirname, join } from 'node:path'
 
 import customParseFormat from 'dayjs/plugin/customParseFormat.js'
 dayjs.extend(customParseFormat)
 
-const brandCodes = {
-  ATWL: 'Atwell Suites',
-  AVID: 'avid Hotels',
-  CDLW: 'Candlewood Suites',
-  HICP: 'Crowne Plaza',
-  EVEN: 'EVEN Hotels',
-  HOLI: 'Holiday Inn',
-  HICV: 'Holiday Inn Club Vacations',
-  HIEX: 'Holiday Inn Express',
-  HEXS: 'Holiday Inn Express & Suites',
-  INDG: 'Hotel Indigo',
-  HLUX: 'HUALUXE',
-  ICON: 'InterContinental',
-  KIKI: 'Kimpton',
-  MRMS: 'Mr & Mrs Smith',
-  RGNT: 'Regent',
-  SIXS: 'Six Senses',
-  STAY: 'Staybridge Suites',
-  LXLX: 'Vignette Collection',
-  VXVX: 'voco'
+// The tiers brands are grouped in
+export const brandTiers = ['luxury', 'premium', 'essentials', 'suites']
+
+// The brands of the chain by brand code, use addBrand to add brands launched after this release
+export const brands = {
+  ATWL: { code: 'ATWL', name: 'Atwell Suites', tier: 'suites' },
+  AVID: { code: 'AVID', name: 'avid Hotels', tier: 'essentials' },
+  CDLW: { code: 'CDLW', name: 'Candlewood Suites', tier: 'suites' },
+  HICP: { code: 'HICP', name: 'Crowne Plaza', tier: 'premium' },
+  EVEN: { code: 'EVEN', name: 'EVEN Hotels', tier: 'premium' },
+  HOLI: { code: 'HOLI', name: 'Holiday Inn', tier: 'essentials' },
+  HICV: { code: 'HICV', name: 'Holiday Inn Club Vacations', tier: 'suites' },
+  HIEX: { code: 'HIEX', name: 'Holiday Inn Express', tier: 'essentials' },
+  HEXS: { code: 'HEXS', name: 'Holiday Inn Express & Suites', tier: 'essentials' },
+  INDG: { code: 'INDG', name: 'Hotel Indigo', tier: 'luxury' },
+  HLUX: { code: 'HLUX', name: 'HUALUXE', tier: 'premium' },
+  ICON: { code: 'ICON', name: 'InterContinental', tier: 'luxury' },
+  KIKI: { code: 'KIKI', name: 'Kimpton', tier: 'luxury' },
+  MRMS: { code: 'MRMS', name: 'Mr & Mrs Smith', tier: 'luxury' },
+  RGNT: { code: 'RGNT', name: 'Regent', tier: 'luxury' },
+  SIXS: { code: 'SIXS', name: 'Six Senses', tier: 'luxury' },
+  STAY: { code: 'STAY', name: 'Staybridge Suites', tier: 'suites' },
+  LXLX: { code: 'LXLX', name: 'Vignette Collection', tier: 'luxury' },
+  VXVX: { code: 'VXVX', name: 'voco', tier: 'premium' }
+}
+
+// The brand codes that have already been warned about
+const warnedBrandCodes = new Set()
+
+// Named sets of rate codes that can be used instead of a list of rate codes
+export const ratePresets = {
+  reward: ['IVANI'],
+  member: ['IDMAP', 'IDME0', 'IDME2', 'IDVPD'],
+  public: ['IGCOR'],
+  all: ['IVANI', 'IDMAP', 'IDME0', 'IDME2', 'IGCOR', 'IDVPD']
+}
+
+// How long responses are cached by default, by method and in milliseconds
+const defaultCacheTtl = {
+  getHotelDetails: 7 * 24 * 60 * 60 * 1000,
+  getDestinations: 7 * 24 * 60 * 60 * 1000,
+  getLowestHotelPrices: 5 * 60 * 1000,
+  getStayPrices: 5 * 60 * 1000,
+  getLowestAreaPrices: 5 * 60 * 1000
+}
+
+// How failed requests are retried by default
+const defaultRetry = {
+  limit: 2,
+  statusCodes: [408, 429, 500, 502, 503, 504],
+  baseDelay: 500,
+  maxDelay: 30000
+}
+
+// The API error codes meaning a hotelCode is unknown
+const invalidHotelCodeErrorCodes = ['INVALID_HOTEL_MNEMONICS', 'CRS_50010']
+
+// The API error codes meaning there's no availability for a stay
+const noAvailabilityErrorCodes = ['CRS_50025']
+
+// The maximum number of days the availability windows endpoint accepts in one request
+const MAX_WINDOW_DAYS = 62
+
+// The number of hotels combined in a single request to the availability windows endpoint
+const MAX_WINDOW_HOTELS = 10
+
+// The longest stay that can be searched for, in nights
+const MAX_LENGTH_OF_STAY = 30
+
+// The largest number of rooms that can be booked at once
+const MAX_ROOMS = 9
+
+// The currency of each market a locale can point to, by ISO 3166-1 alpha-2 country code
+const marketCurrencies = {
+  AE: 'AED',
+  AR: 'ARS',
+  AT: 'EUR',
+  AU: 'AUD',
+  BE: 'EUR',
+  BR: 'BRL',
+  CA: 'CAD',
+  CH: 'CHF',
+  CL: 'CLP',
+  CN: 'CNY',
+  CO: 'COP',
+  CZ: 'CZK',
+  DE: 'EUR',
+  DK: 'DKK',
+  ES: 'EUR',
+  FI: 'EUR',
+  FR: 'EUR',
+  GB: 'GBP',
+  GR: 'EUR',
+  HK: 'HKD',
+  ID: 'IDR',
+  IE: 'EUR',
+  IN: 'INR',
+  IT: 'EUR',
+  JP: 'JPY',
+  KR: 'KRW',
+  MX: 'MXN',
+  MY: 'MYR',
+  NL: 'EUR',
+  NO: 'NOK',
+  NZ: 'NZD',
+  PH: 'PHP',
+  PL: 'PLN',
+  PT: 'EUR',
+  QA: 'QAR',
+  SA: 'SAR',
+  SE: 'SEK',
+  SG: 'SGD',
+  TH: 'THB',
+  TR: 'TRY',
+  TW: 'TWD',
+  US: 'USD',
+  VN: 'VND',
+  ZA: 'ZAR'
+}
+
+// The optional parts of getHotelDetails, with the fieldset of the profiles endpoint each one needs
+const hotelDetailFieldsets = {
+  amenities: 'facilities',
+  policies: 'policies',
+  contact: 'contact',
+  media: 'media'
 }
 
 export default class Trippe {
   #headers
+  #baseUrl
+  #transport
+  #cache
+  #limiter
+  #retry
+  #targetCurrency
+  #exchangeRates
+  #locale
+  #locations
+
+  /**
+   * @param {string} apiKey The API key to send with every request
+   * @param {clientOptions} options An object containing baseUrl, transport, fixtures, cache, maxConcurrent, requestsPerSecond, retry, targetCurrency, exchangeRates and locale keys (all optional)
+   */
+
+  /**
+   * @typedef {Object} clientOptions
+   * @property {string} baseUrl The url the API paths are appended to, defaults to https://apis.ihg.com
+   * @property {transport} transport A function that performs the HTTP requests, defaults to one using got
+   * @property {fixtureOptions} fixtures Saves responses to disk or serves them from disk instead of calling the API
+   * @property {cacheOptions|boolean} cache Caches responses, true to use an in-memory cache with the default TTLs
+   * @property {number} maxConcurrent The maximum number of requests running at the same time, across all method calls
+   * @property {number} requestsPerSecond The maximum number of requests started per second, across all method calls
+   * @property {retryOptions} retry How failed requests are retried
+   * @property {string} targetCurrency The ISO 4217 code of the currency to convert all prices to, requires exchangeRates
+   * @property {exchangeRateProvider} exchangeRates Provides the exchange rates used to convert prices
+   * @property {string} locale The language and market to use, e.g. fr-FR. Its currency is the default targetCurrency when exchangeRates are set
+   */
+
+  /**
+   * @typedef {Object} exchangeRateProvider
+   * @property {Function} getRates Resolves with an exchangeRateTable
+   */
+
+  /**
+   * @typedef {Object} exchangeRateTable
+   * @property {string} base The ISO 4217 code of the currency the rates are relative to
+   * @property {string|null} date The date the rates apply to, in ISO 8601 date format
+   * @property {Object} rates The value of 1 unit of base in other currencies, by ISO 4217 currency code
+   */
+
+  /**
+   * @typedef {Object} retryOptions
+   * @property {number} limit The number of times a request is retried, defaults to 2
+   * @property {number[]} statusCodes The status codes that trigger a retry, defaults to 408, 429, 500, 502, 503 and 504
+   * @property {number} baseDelay The delay before the first retry in milliseconds, doubled with every retry and randomised (jitter), defaults to 500
+   * @property {number} maxDelay The longest delay before a retry in milliseconds, also when the API asks to wait longer with Retry-After, defaults to 30000
+   */
+
+  /**
+   * @typedef {Object} cacheOptions
+   * @property {cacheStore} store The store to keep cached responses in, defaults to a MemoryStore
+   * @property {Object} ttl How long responses are cached in milliseconds, by method name (0 to not cache a method)
+   */
+
+  /**
+   * @typedef {Object} cacheStore
+   * @property {Function} get Resolves with the value stored under a key, or undefined when missing or expired
+   * @property {Function} set Stores a value under a key for a number of milliseconds
+   */
 
-  constructor (apiKey) {
+  /**
+   * @typedef {Object} fixtureOptions
+   * @property {string} mode Either 'record' to save every response or 'replay' to only serve saved responses
+   * @property {string} directory The directory the responses are saved in
+   */
+
+  /**
+   * @callback transport
+   * @param {transportRequest} request The request to perform
+   * @returns {Promise<transportResponse>}
+   */
+
+  /**
+   * @typedef {Object} transportRequest
+   * @property {string} method The HTTP method, either GET or POST
+   * @property {string} url The full url of the request
+   * @property {Object} headers The headers to send
+   * @property {Object|undefined} json The body to send as JSON, undefined for GET requests
+   * @property {AbortSignal} signal Aborts the request when triggered, undefined when the call has no signal or timeout
+   */
+
+  /**
+   * @typedef {Object} transportResponse
+   * @property {number} statusCode The HTTP status code
+   * @property {Object} headers The response headers
+   * @property {string} body The raw response body
+   */
+
+  constructor (apiKey, options = {}) {
+    withContext('constructor', { apiKey: apiKey ? '***' : apiKey }, () => this.#configure(apiKey, options))
+  }
+
+  /**
+   * Checks and applies the constructor parameters
+   *
+   * @param {string} apiKey The API key to send with every request
+   * @param {clientOptions} options The client options
+   */
+  #configure (apiKey, {
+    baseUrl = 'https://apis.ihg.com',
+    transport = gotTransport,
+    fixtures,
+    cache,
+    maxConcurrent = Infinity,
+    requestsPerSecond = Infinity,
+    retry = {},
+    targetCurrency,
+    exchangeRates,
+    locale
+  } = {}) {
     // Check if apiKey was provided
     if (!apiKey) {
-      throw new Error('apiKey is required')
+      throw new ValidationError('apiKey is required')
+    }
+
+    // Check transport
+    if (typeof transport !== 'function') {
+      throw new ValidationError('transport should be a function')
+    }
+
+    this.#baseUrl = baseUrl.replace(/\/+$/, '')
+
+    // Set transport, wrapping it when working with fixtures
+    if (!fixtures) {
+      this.#transport = transport
+    } else if (fixtures.mode === 'record' && fixtures.directory) {
+      this.#transport = recordTransport(transport, fixtures.directory)
+    } else if (fixtures.mode === 'replay' && fixtures.directory) {
+      this.#transport = replayTransport(fixtures.directory)
+    } else {
+      throw new ValidationError("fixtures should contain a directory and a mode of either 'record' or 'replay'")
+    }
+
+    // Set cache
+    if (cache) {
+      const { store = new MemoryStore(), ttl = {} } = cache === true ? {} : cache
+
+      if (typeof store.get !== 'function' || typeof store.set !== 'function') {
+        throw new ValidationError('cache.store should have get and set methods')
+      }
+
+      this.#cache = {
+        store,
+        ttl: { ...defaultCacheTtl, ...ttl }
+      }
+    }
+
+    // Set limits, shared by all method calls
+    if (!(maxConcurrent >= 1) || !(requestsPerSecond > 0)) {
+      throw new ValidationError('maxConcurrent should be at least 1 and requestsPerSecond should be greater than 0')
+    }
+
+    this.#limiter = createLimiter({ maxConcurrent, requestsPerSecond })
+    this.#retry = { ...defaultRetry, ...retry }
+
+    // Set currency conversion
+    if (exchangeRates && typeof exchangeRates.getRates !== 'function') {
+      throw new ValidationError('exchangeRates should have a getRates method')
+    }
+
+    checkTargetCurrency(targetCurrency, exchangeRates)
+
+    // Time zones and longitudes of hotels, looked up once to know what day it is at a hotel
+    this.#locations = new Map()
+
+    // Set locale, of which the market's currency is used when no targetCurrency was given
+    this.#locale = getLocale(locale)
+
+    const marketCurrency = this.#locale && exchangeRates ? marketCurrencies[this.#locale.split('-')[1]] : undefined
+
+    this.#targetCurrency = targetCurrency || marketCurrency
+    this.#exchangeRates = exchangeRates
+
+    // Replayed responses never change, so there's no point in retrying them
+    if (fixtures && fixtures.mode === 'replay') {
+      this.#retry.limit = 0
     }
 
     // Set headers
@@ -48,18 +330,27 @@ export default class Trippe {
   }
 
   /**
-   * Gets basic info on a hotel
+   * Gets basic info on a hotel, and optionally its amenities, policies, contact info and photos
    *
    * @param {string} hotelCode The systemwide id (mnemonic) of the hotel
+   * @param {Object} options An object containing include (an array of amenities, policies, contact and/or media), locale and the requestOptions keys (all optional)
    * @returns {Promise<hotelDetails>}
   */
 
+  /**
+   * @typedef {Object} requestOptions
+   * @property {boolean} fresh Whether to bypass the cache, defaults to false
+   * @property {AbortSignal} signal Cancels all requests of the call when triggered
+   * @property {number} timeout The maximum time in milliseconds for each request to the API, including retries
+   */
+
   /**
    * @typedef {Object} hotelDetails
    * @property {string} hotelCode The systemwide id (mnemonic) of the hotel
    * @property {string} hotelName The name of the hotel, not taking into account the brand name of the chain it belongs to
    * @property {string} brandCode The code of the (sub)chain the hotel belongs to
-   * @property {string} brandName The brand name of the (sub)chain the hotel belongs to
+   * @property {string|null} brandName The brand name of the (sub)chain the hotel belongs to, null for brands missing from the catalogue
+   * @property {string|null} brandTier The tier of the brand, one of brandTiers, null for brands missing from the catalogue
    * @property {hotelDescription} description A description of the property, in two formats
    * @property {number} numberOfRooms The number of available rooms
    * @property {string} closestCity The closest city to the hotel (may be the actual city of the address)
@@ -70,6 +361,30 @@ export default class Trippe {
    * @property {string} country The country the hotel is in, expressed as a ISO 3166-1 alpha-2 code
    * @property {Array} coordinates The coordinates of the hotel, expressed as [longitude, latitude]
    * @property {string} url The url of the hotel's homepage
+   * @property {string|null} timeZone The IANA time zone of the property, e.g. Europe/Brussels
+   * @property {hotelAmenities|null} [amenities] The facilities of the hotel, only when included
+   * @property {string|null} [checkInTime] The earliest check-in time as HH:mm, only when policies are included
+   * @property {string|null} [checkOutTime] The latest check-out time as HH:mm, only when policies are included
+   * @property {hotelPolicy|null} [petPolicy] Whether pets are allowed, only when policies are included
+   * @property {hotelPolicy|null} [parkingPolicy] Whether parking is available, only when policies are included
+   * @property {string|null} [phone] The phone number of the hotel, only when contact is included
+   * @property {string|null} [email] The email address of the hotel, only when contact is included
+   * @property {Array|null} [images] The URLs of the photos of the hotel, only when media is included
+   */
+
+  /**
+   * @typedef {Object} hotelAmenities
+   * @property {boolean|null} pool Whether the hotel has a swimming pool
+   * @property {boolean|null} fitnessCenter Whether the hotel has a gym
+   * @property {boolean|null} parking Whether the hotel offers parking
+   * @property {boolean|null} evCharging Whether the hotel has charging stations for electric vehicles
+   * @property {Array} all The names of all facilities of the hotel
+   */
+
+  /**
+   * @typedef {Object} hotelPolicy
+   * @property {boolean|null} allowed Whether pets are allowed or parking is available
+   * @property {string|null} description The policy as described by the hotel, e.g. fees and restrictions
    */
 
   /**
@@ -84,63 +399,204 @@ export default class Trippe {
    * @property {string} name The full name
    */
 
-  getHotelDetails (hotelCode) {
-    // Check if hotelCode was provided
-    if (!hotelCode) {
-      throw new Error('hotelCode is required')
-    }
+  getHotelDetails (hotelCode, { include = [], locale = this.#locale, fresh = false, signal, timeout } = {}) {
+    return withContext('getHotelDetails', { hotelCode }, () => {
+      checkHotelCode(hotelCode)
 
-    const headers = this.#headers
-    const url = `https://apis.ihg.com/hotels/v1/profiles/${hotelCode}/details?fieldset=brandInfo,location,profile,address`
+      const isValidInclude = Array.isArray(include) && include.every(part => Object.keys(hotelDetailFieldsets).includes(part))
+
+      if (!isValidInclude) {
+        throw new ValidationError(`Invalid value for include (should be an array containing any of ${Object.keys(hotelDetailFieldsets).join(', ')})`)
+      }
 
-    return got.get(url, { headers }).json()
-      .then(json => json.hotelInfo)
-      .then(hotelInfo => {
-        const { brandInfo, location, profile, address } = hotelInfo
+      const fieldsets = ['brandInfo', 'location', 'profile', 'address', ...include.map(part => hotelDetailFieldsets[part])]
+      const localeParameter = getLocaleParameter(locale)
+      const path = `/hotels/v1/profiles/${hotelCode.toUpperCase()}/details?fieldset=${[...new Set(fieldsets)].join(',')}${localeParameter}`
 
-        const { brandCode } = brandInfo
-        const { closestCity } = location
-        const { roomsIncludingSuitesCount, latLong, name, shortDescription, longDescription } = profile
+      return this.#request('GET', path, { cacheAs: 'getHotelDetails', fresh, signal, timeout })
+        .then(response => JSON.parse(response.body))
+        .then(json => json.hotelInfo)
+        .then(hotelInfo => {
+          const { brandInfo, location, profile, address } = hotelInfo
 
-        return {
-          hotelCode,
-          hotelName: name,
-          brandCode,
-          brandName: brandCodes[brandCode],
-          description: {
-            long: longDescription,
-            short: shortDescription
-          },
-          numberOfRooms: roomsIncludingSuitesCount,
-          closestCity,
-          street: [address.street1, address.street4].filter((d) => d),
-          postalCode: address.zip,
-          city: address.city,
-          state: 'code' in address.state ? address.state.code : null,
-          country: address.country.code,
-          coordinates: [latLong.longitude, latLong.latitude],
-          url: address.consumerFriendlyURL ? `https://${address.consumerFriendlyURL}` : null
+          const { brandCode } = brandInfo
+          const brand = getBrand(brandCode)
+          const { closestCity, timeZone } = location
+          const { roomsIncludingSuitesCount, latLong, name, shortDescription, longDescription } = profile
+
+          return {
+            hotelCode,
+            hotelName: name,
+            brandCode,
+            brandName: brand ? brand.name : null,
+            brandTier: brand ? brand.tier : null,
+            description: {
+              long: longDescription,
+              short: shortDescription
+            },
+            numberOfRooms: roomsIncludingSuitesCount,
+            closestCity,
+            street: [address.street1, address.street4].filter((d) => d),
+            postalCode: address.zip,
+            city: address.city,
+            state: 'code' in address.state ? address.state.code : null,
+            country: address.country.code,
+            coordinates: [latLong.longitude, latLong.latitude],
+            url: address.consumerFriendlyURL ? `https://${address.consumerFriendlyURL}` : null,
+            timeZone: timeZone || null,
+            ...getHotelExtras(hotelInfo, include)
+          }
+        })
+        .catch((error) => {
+          // The profiles endpoint answers unknown hotelCodes with a plain client error
+          if (error.constructor === ApiError && error.statusCode < 500) {
+            throw new InvalidHotelCodeError('Unknown or invalid hotelCode', { statusCode: error.statusCode, apiErrorCodes: error.apiErrorCodes })
+          }
+
+          throw error
+        })
+    })
+  }
+
+  /**
+   * Gets the details of many hotels at once. Hotels that fail don't make the whole batch fail but are reported in errors
+   *
+   * @param {string[]} hotelCodes The systemwide ids of the hotels
+   * @param {batchDetailsOptions} options The options of the batch (all optional)
+   * @returns {Promise<Object>} An object with results (hotelDetails by hotelCode) and errors (the error by hotelCode) keys
+   */
+
+  /**
+   * @typedef {Object} batchDetailsOptions
+   * @property {string[]} include The optional parts of the hotel details to get, as in getHotelDetails
+   * @property {string} locale The language of the hotel details, defaults to the one set on the client
+   * @property {number} concurrency The maximum number of requests running at the same time, defaults to 4
+   * @property {Function} onProgress Called after every hotel with an object containing hotelCode, completed, total and error (null on success) keys
+   * @property {boolean} fresh Whether to bypass the cache, defaults to false
+   * @property {AbortSignal} signal Cancels all requests of the batch when triggered
+   * @property {number} timeout The maximum time in milliseconds for each request to the API, including retries
+   */
+  getMultiHotelDetails (hotelCodes, options = {}) {
+    return withContext('getMultiHotelDetails', { hotelCodes }, () => {
+      const codes = getBatchHotelCodes(hotelCodes)
+      checkConcurrency(options.concurrency)
+      const results = {}
+      const errors = {}
+
+      return this.#getDetailsBatch(codes, options, ({ hotelCode, details, error }) => {
+        if (error) {
+          errors[hotelCode] = error
+        } else {
+          results[hotelCode] = details
         }
       })
-      .catch((err) => {
-        throw new Error(err.code === 'ERR_NON_2XX_3XX_RESPONSE' ? 'Unknown or invalid hotelCode' : err)
-      })
+        .then(() => {
+          // A cancelled batch fails as a whole instead of reporting every remaining hotel as an error
+          if (options.signal && options.signal.aborted) throw new AbortError()
+
+          return { results, errors }
+        })
+    })
+  }
+
+  /**
+   * Gets the details of many hotels like getMultiHotelDetails, but hands them out one by one as they come in, for use
+   * with for await...of. Lookups start with the first iteration and stop when the loop is left early
+   *
+   * @param {string[]} hotelCodes The systemwide ids of the hotels
+   * @param {batchDetailsOptions} options The options of the batch (all optional)
+   * @returns {AsyncIterable<Object>} Objects with hotelCode, details (null on failure) and error (null on success) keys
+   */
+  iterateHotelDetails (hotelCodes, options = {}) {
+    return withContext('iterateHotelDetails', { hotelCodes }, () => {
+      const codes = getBatchHotelCodes(hotelCodes)
+      checkConcurrency(options.concurrency)
+      const received = []
+      const waiting = []
+      let remaining = codes.length
+      let batch = null
+      let stopped = false
+
+      const onSettled = (entry) => {
+        if (waiting.length > 0) {
+          waiting.shift()({ value: entry, done: false })
+        } else {
+          received.push(entry)
+        }
+      }
+
+      return {
+        [Symbol.asyncIterator] () {
+          return this
+        },
+        next: () => {
+          if (!batch) batch = this.#getDetailsBatch(codes, options, onSettled, () => stopped)
+          if (stopped || remaining === 0) return Promise.resolve({ value: undefined, done: true })
+
+          remaining--
+
+          return received.length > 0
+            ? Promise.resolve({ value: received.shift(), done: false })
+            : new Promise(resolve => waiting.push(resolve))
+        },
+        return: () => {
+          stopped = true
+          return Promise.resolve({ value: undefined, done: true })
+        }
+      }
+    })
+  }
+
+  /**
+   * Looks up the details of every hotel and hands each result to onSettled as soon as it comes in
+   *
+   * @param {string[]} hotelCodes The systemwide ids of the hotels
+   * @param {batchDetailsOptions} options The options of the batch
+   * @param {Function} onSettled Called with an object containing hotelCode, details and error keys for every hotel
+   * @param {Function} isStopped Returns whether the hotels that haven't been started should be skipped
+   * @returns {Promise}
+   */
+  #getDetailsBatch (hotelCodes, { include, locale, concurrency = 4, onProgress, fresh, signal, timeout }, onSettled, isStopped = () => false) {
+    let completed = 0
+
+    return mapConcurrently(hotelCodes, concurrency, hotelCode => {
+      if (isStopped()) return Promise.resolve()
+
+      return Promise.resolve()
+        .then(() => this.getHotelDetails(hotelCode, { include, locale, fresh, signal, timeout }))
+        .then(details => ({ hotelCode, details, error: null }), error => ({ hotelCode, details: null, error }))
+        .then(entry => {
+          completed++
+          onSettled(entry)
+
+          if (onProgress) onProgress({ hotelCode, completed, total: hotelCodes.length, error: entry.error })
+        })
+    })
   }
 
   /**
    * Returns an object with the hotelCode, the currencyCode and an array  of lowest prices (in points and in cash) for a
-   * single hotel - per night and for a period of up to 62 days
+   * single hotel - per night and for a period of any length
+   * Periods longer than 62 days are split into multiple requests that are merged into a single calendar
    * Note that the rates that this method returns don't always include (all) taxes
    *
    * @param {string} hotelCode The systemwide id of the hotel
-   * @param {startEndDates} dates An object containing startDate and endDate keys (both optional)
-   * @returns {Promise<Object[lowestHotelPrices]>}
+   * @param {startEndDates} dates An object containing startDate, endDate, filter and concurrency keys (all optional)
+   * @returns {Promise<Object[lowestHotelPrices]>} Resolves with null when the hotel doesn't match filter
   */
 
   /**
    * @typedef {Object} startEndDates
-   * @property {string} startDate The date (check in date) from which to start searching, defaults to today
-   * @property {string} endDate The last date (as a check in date) to include in the search, defaults to today + 61 days
+   * @property {string} startDate The date (check in date) from which to start searching, defaults to today at the hotel. Days in the past at the hotel are left out
+   * @property {string} endDate The last date (as a check in date) to include in the search, defaults to startDate + 61 days
+   * @property {number|number[]} lengthOfStay The number of nights, or a range of nights expressed as [minimum, maximum], defaults to 1
+   * @property {string|string[]} rateCodes The rate codes to search for or the name of one of the ratePresets, defaults to 'all'
+   * @property {Object} filter Only returns hotels of which the brand matches an object with brandCodes and brandTiers arrays
+   * @property {number} concurrency The maximum number of requests running at the same time, defaults to 4
+   * @property {boolean} fresh Whether to bypass the cache, defaults to false
+   * @property {AbortSignal} signal Cancels all requests when triggered
+   * @property {number} timeout The maximum time in milliseconds for each request to the API, including retries
+   * @property {string} targetCurrency The ISO 4217 code of the currency to convert prices to, defaults to the one set on the client
    */
 
   /**
@@ -148,353 +604,821 @@ export default class Trippe {
    * @property {string} hotelCode The systemwide id (mnemonic) of the hotel
    * @property {string} currencyCode The currency used at this hotel
    * @property {lowestPriceDay} prices The lowest prices by day
+   * @property {windowError[]} errors The periods that could not be retrieved, empty when all requests succeeded
+   * @property {conversion} conversion The currency prices were converted to and the date of the exchange rate, only when converting
+   */
+
+  /**
+   * @typedef {Object} conversion
+   * @property {string} currencyCode The ISO 4217 code of the currency prices were converted to
+   * @property {string|null} rateDate The date of the exchange rates used
    */
 
   /**
    * @typedef {Object} lowestPriceDay
    * @property {string} checkinDate The check in date
-   * @property {number|null} cashPrice The lowest cash price available - not including (some) taxes for a one night stay, null if no rooms available
-   * @property {number|null} points The lowest number of points available to book a reward night with points only, null if no reward nights are available
+   * @property {number} lengthOfStay The number of nights in the stay
+   * @property {number|null} cashPrice The lowest cash price available - not including (some) taxes for the whole stay, null if no rooms available
+   * @property {number|null} points The lowest number of points available to book the whole stay with points only, null if no reward nights are available
+   * @property {string|null} cashRateCode The rate code of the lowest cash price, null if no rooms available
+   * @property {string|null} pointsRateCode The rate code of the lowest number of points, null if no reward nights are available
+   * @property {number|null} convertedCashPrice The cashPrice in the targetCurrency, only when converting
+   * @property {boolean} isRestricted Whether the stay can't be booked while each of its nights can be booked on its own (e.g. because of a minimum stay)
+   */
+
+  /**
+   * @typedef {Object} windowError
+   * @property {string} startDate The first check in date of the failed period
+   * @property {string} endDate The last check in date of the failed period
+   * @property {number} lengthOfStay The number of nights searched for in the failed period
+   * @property {string} message The reason the period could not be retrieved
    */
   getLowestHotelPrices (hotelCode, {
-    startDate = dayjs().format('YYYY-MM-DD'),
-    endDate = dayjs(startDate).add(61, 'day').format('YYYY-MM-DD')
+    startDate,
+    endDate,
+    lengthOfStay = 1,
+    rateCodes = 'all',
+    filter = {},
+    concurrency = 4,
+    fresh = false,
+    signal,
+    timeout,
+    targetCurrency = this.#targetCurrency
   } = {}) {
-    const headers = this.#headers
-
-    // Check if hotelCode was provided
-    if (!hotelCode) {
-      throw new Error('hotelCode is required')
-    }
-
-    // Calculate number of days
-    const days = dayjs(endDate).diff(dayjs(startDate), 'day') + 1
-
-    // Check if there's 62 days or less
-    if (days > 62) {
-      throw new Error('Please limit the number of days to 62 or less')
-    }
+    return withContext('getLowestHotelPrices', { hotelCode, startDate, endDate, lengthOfStay, rateCodes }, () => {
+      checkHotelCode(hotelCode)
+      checkDates({ startDate, endDate })
+      checkPeriodDates(startDate, endDate)
+      checkConcurrency(concurrency)
 
-    const url = `https://apis.ihg.com/availability/v1/windows?hotelCodes=${hotelCode.toUpperCase()}&rateCodes=IVANI,IDMAP,IDME0,IDME2,IGCOR,IDVPD&startDate=${startDate}T00:00:00Z&endDate=${endDate}T00:00:00Z&lengthOfStay=1&numberOfRooms=1&includeSellStrategy=never`
+      const matchesBrand = getCalendarBrandFilter(filter)
+      const lengths = getLengthsOfStay(lengthOfStay)
+      const codes = getRateCodes(rateCodes)
 
-    return got.get(url, { headers }).json()
-      .catch((error) => {
-        const { statusCode } = error.response
-        if (statusCode >= 500) {
-          throw new Error(`API reports a server error (statusCode ${statusCode}). Please retry.`)
-        }
-      })
-      .then(json => json.hotels[0])
-      .then(hotel => {
-        const { currencyCode, rates } = hotel
-        const dates = [...new Array(days)].map((u, i) => dayjs(startDate).add(i, 'day').format('YYYY-MM-DD'))
+      checkTargetCurrency(targetCurrency, this.#exchangeRates)
 
-        if (currencyCode === '') {
-          throw new Error('Unknown or invalid hotelCode')
-        } else {
-          const ratesCombined = rates.flatMap(rate => rate.windows)
+      return this.#getPeriodDates([hotelCode], { startDate, endDate }, { signal, timeout })
+        .then(period => this.#getPriceCalendars([hotelCode], { ...period, lengths, codes, concurrency, fresh, signal, timeout }))
+        .then(([calendar]) => {
+          const { failure, isValid, ...lowestHotelPrices } = calendar
 
-          const prices = dates.map(checkinDate => {
-            const points = Math.min(...ratesCombined.filter(rate => rate.startDate === `${checkinDate}T00:00:00Z` && 'totalPoints' in rate).map(rate => rate.totalPoints))
-            const cashPrice = Math.min(...ratesCombined.filter(rate => rate.startDate === `${checkinDate}T00:00:00Z` && 'totalAmount' in rate).map(rate => rate.totalAmount))
+          if (failure) throw failure
 
-            return {
-              checkinDate,
-              cashPrice: cashPrice < Infinity ? cashPrice : null,
-              points: points < Infinity ? points : null
-            }
-          })
+          if (!matchesBrand) return lowestHotelPrices
 
-          return {
-            hotelCode,
-            currencyCode,
-            prices
-          }
-        }
-      })
+          return this.#filterByBrand([{ ...lowestHotelPrices, isValid }], matchesBrand, { concurrency, fresh, signal, timeout })
+            .then(hotels => hotels.length > 0 ? lowestHotelPrices : null)
+        })
+        .then(lowestHotelPrices => lowestHotelPrices && this.#convert(lowestHotelPrices, targetCurrency, convertCalendar))
+    })
   }
 
   /**
-   * Returns an object containing arrays of available products, available rate plans and available prices
-   * (in cash and points) for a specific hotel on specific dates
+   * Returns an array with the lowest prices (in points and in cash) for several hotels at once - per night and for a
+   * period of any length. Hotels are combined into as few requests as possible.
+   * Unknown or invalid hotelCodes don't make the whole search fail but are flagged in the results
    *
-   * @param {string} hotelCode The systemwide id of the hotel
-   * @param {startEndDatesAndGuests} options
-   * @returns {Promise<Object>}
-  */
+   * @param {string[]} hotelCodes The systemwide ids of the hotels
+   * @param {startEndDates} dates An object containing startDate, endDate, lengthOfStay, rateCodes, filter (with brandCodes and brandTiers keys) and concurrency keys (all optional)
+   * @returns {Promise<Array<multiHotelPrices>>}
+   */
 
   /**
-   * @typedef {Object} startEndDatesAndGuests
-   * @property {string} startDate The date (check in date) from which to start searching, defaults to today
-   * @property {string} endDate The last date (as a check in date) to include in the search, defaults to today + 61 days
-   * @property {number} adults The number of adult guests in the room
-   * @property {number} children The number of children in the room
+   * @typedef {Object} multiHotelPrices
+   * @property {string} hotelCode The systemwide id (mnemonic) of the hotel
+   * @property {boolean} isValid Whether the API recognised the hotelCode
+   * @property {string|null} currencyCode The currency used at this hotel, null if it could not be determined
+   * @property {lowestPriceDay[]} prices The lowest prices by day
+   * @property {windowError[]} errors The periods that could not be retrieved, empty when all requests succeeded
    */
-
-  getStayPrices (hotelCode, {
-    checkinDate = dayjs().format('YYYY-MM-DD'),
-    checkoutDate = dayjs(checkinDate).add(1, 'day').format('YYYY-MM-DD'),
-    adults = 1,
-    children = 0
+  getLowestMultiHotelPrices (hotelCodes, {
+    startDate,
+    endDate,
+    lengthOfStay = 1,
+    rateCodes = 'all',
+    filter = {},
+    concurrency = 4,
+    fresh = false,
+    signal,
+    timeout,
+    targetCurrency = this.#targetCurrency
   } = {}) {
-    const headers = this.#headers
+    return withContext('getLowestMultiHotelPrices', { hotelCodes, startDate, endDate, lengthOfStay, rateCodes }, () => {
+      // Check if hotelCodes were provided
+      if (!Array.isArray(hotelCodes) || hotelCodes.length === 0 || !hotelCodes.every(d => d && typeof d === 'string')) {
+        throw new ValidationError('hotelCodes should be a non-empty array of hotelCodes')
+      }
 
-    // Check if hotelCode was provided
-    if (!hotelCode) {
-      throw new Error('hotelCode is required')
-    }
+      checkDates({ startDate, endDate })
+      checkPeriodDates(startDate, endDate)
+      checkConcurrency(concurrency)
 
-    // Check checkinDate format
-    const isValidCheckinDate = dayjs(checkinDate, 'YYYY-MM-DD', true).isValid()
-    if (!isValidCheckinDate) throw new Error('Invalid value for checkinDate (should be formatted as YYYY-MM-DD)')
+      const matchesBrand = getCalendarBrandFilter(filter)
+      const lengths = getLengthsOfStay(lengthOfStay)
+      const codes = getRateCodes(rateCodes)
 
-    const url = 'https://apis.ihg.com/availability/v3/hotels/offers?fieldset=rateDetails,rateDetails.policies,rateDetails.bonusRates,rateDetails.upsells'
+      checkTargetCurrency(targetCurrency, this.#exchangeRates)
 
-    const json = {
-      products: [
-        {
-          productCode: 'SR',
-          guestCounts: [
-            {
-              otaCode: 'AQC10',
-              count: adults
-            },
-            {
-              otaCode: 'AQC8',
-              count: children
-            }],
-          startDate: checkinDate,
-          endDate: checkoutDate,
-          quantity: 1
-        }
-      ],
-      startDate: checkinDate,
-      endDate: checkoutDate,
-      hotelMnemonics: [hotelCode],
-      rates: {
-        ratePlanCodes: [
-          {
-            internal: 'IVANI'
-          }
-        ]
-      },
-      options: {
-        disabilityMode: 'ACCESSIBLE_AND_NON_ACCESSIBLE',
-        returnAdditionalRatePlanDescriptions: true
-      }
-    }
+      return this.#getPeriodDates(hotelCodes, { startDate, endDate }, { signal, timeout })
+        .then(period => this.#getPriceCalendars(hotelCodes, { ...period, lengths, codes, concurrency, fresh, signal, timeout })
+          .then(calendars => calendars.map(calendar => {
+            const { failure, ...multiHotelPrices } = calendar
 
-    return got.post(url, { headers, json, retry: { methods: ['POST'] }, throwHttpErrors: false })
-      .then(response => {
-        if (response.statusCode !== 200) {
-          const errors = JSON.parse(response.body).errors
-
-          if (errors.map((error) => error.code).includes('INVALID_HOTEL_MNEMONICS')) {
-            throw new Error('Unknown or invalid hotelCode')
-          } else if (errors.map((error) => error.code).includes('CRS_50010')) {
-            throw new Error('Unknown or invalid hotelCode')
-          } else if (errors.map((error) => error.code).includes('CRS_50025')) {
-            throw new Error('No availabilty for your search')
-          } else {
-            throw new Error(errors[0].message)
-          }
-        } else {
-          return JSON.parse(response.body)
-        }
-      })
-      .then(json => json.hotels[0])
-      .then(hotelData => {
-        // Get list of products offered
-        const { productDefinitions } = hotelData
-
-        const products = productDefinitions
-          .filter((productDefinition) => 'inventoryTypeName' in productDefinition && productDefinition.isAvailable)
-          .map((productDefinition) => {
-            return {
-              productCode: productDefinition.inventoryTypeCode,
-              productName: productDefinition.inventoryTypeName,
-              productDescription: productDefinition.description ? productDefinition.description.trim() : null,
-              productIsPremium: productDefinition.isPremium
+            if (failure) {
+              // Report hotel-wide failures, such as a server error on every period or an unknown hotelCode, as an error for the whole period
+              return {
+                ...multiHotelPrices,
+                errors: [{ ...period, message: failure.message }]
+              }
             }
-          })
 
-        const currency = hotelData.propertyCurrency
+            return multiHotelPrices
+          })))
+        .then(calendars => matchesBrand ? this.#filterByBrand(calendars, matchesBrand, { concurrency, fresh, signal, timeout }) : calendars)
+        .then(calendars => Promise.all(calendars.map(calendar => this.#convert(calendar, targetCurrency, convertCalendar))))
+    })
+  }
 
-        // Get a list of ratePlans offered
-        const { ratePlanDefinitions } = hotelData
+  /**
+   * Finds the cheapest way to spend every night of a trip at one or more hotels, paying for each night
+   * in points or in cash. Points are valued at pointValue, switching hotels costs switchPenalty
+   *
+   * @param {string|string[]} hotelCodes The systemwide ids of the hotels to choose from
+   * @param {object} options An object containing checkinDate, checkoutDate, pointsBudget, pointValue, switchPenalty, adults, children, rateCodes, concurrency, fresh, signal, timeout and targetCurrency keys (all optional)
+   * @returns {Promise<splitStayPlan|null>} The cheapest plan, null when no combination of hotels covers every night
+   */
 
-        const ratePlans = ratePlanDefinitions
-          .filter((ratePlanDefinition) => 'additionalDescriptions' in ratePlanDefinition)
-          .map((ratePlanDefinition) => {
-            return {
-              rateCode: ratePlanDefinition.code,
-              rateName: ratePlanDefinition.additionalDescriptions.longRateName,
-              rateDescription: ratePlanDefinition.additionalDescriptions.longRateDesc
-            }
-          })
+  /**
+   * @typedef {Object} splitStayPlan
+   * @property {string} checkinDate The check-in date of the trip
+   * @property {string} checkoutDate The checkout date of the trip
+   * @property {string} currencyCode The currency all amounts are expressed in
+   * @property {number} totalCost The cash spent, the value of the points spent and the penalties for switching hotels
+   * @property {number} totalCashPrice The cash spent in currencyCode, before taxes
+   * @property {number} totalPoints The points spent
+   * @property {number} numberOfSwitches The number of times the plan moves to another hotel
+   * @property {planNight[]} nights Where to stay and how to pay, for every night
+   * @property {planSegment[]} segments The bookings to make, one for every run of nights at the same hotel paid the same way
+   */
+
+  /**
+   * @typedef {Object} planNight
+   * @property {string} date The date of the night
+   * @property {string} hotelCode The hotel to stay at
+   * @property {string} payWith Either points or cash
+   * @property {string} currencyCode The currency of the hotel, in which cashPrice is expressed
+   * @property {number|null} cashPrice The cash price of the night, null when paying with points
+   * @property {number|null} convertedCashPrice The cash price in the currencyCode of the plan, only present when converting
+   * @property {number|null} points The points for the night, null when paying with cash
+   */
+
+  /**
+   * @typedef {Object} planSegment
+   * @property {string} hotelCode The hotel to stay at
+   * @property {string} payWith Either points or cash
+   * @property {string} checkinDate The check-in date of the booking
+   * @property {string} checkoutDate The checkout date of the booking
+   * @property {string} bookingUrl The url of the booking page
+   */
+  getSplitStayPlan (hotelCodes, {
+    checkinDate,
+    checkoutDate,
+    pointsBudget = Infinity,
+    pointValue = 0.005,
+    switchPenalty = 0,
+    adults = 1,
+    children = 0,
+    rateCodes = 'all',
+    concurrency = 4,
+    fresh = false,
+    signal,
+    timeout,
+    targetCurrency = this.#targetCurrency
+  } = {}) {
+    return withContext('getSplitStayPlan', { hotelCodes, checkinDate, checkoutDate, pointsBudget, pointValue, switchPenalty }, () => {
+      const codes = typeof hotelCodes === 'string' ? [hotelCodes] : hotelCodes
 
-        // Check rates per room type
-        const { rateDetails } = hotelData
+      if (!Array.isArray(codes) || codes.length === 0 || !codes.every(d => d && typeof d === 'string')) {
+        throw new ValidationError('hotelCodes should be a non-empty array of hotelCodes')
+      }
 
-        const prices = rateDetails.offers.map((offer) => {
-          const productCode = offer.productUses[0].inventoryTypeCode
-          const rateCode = offer.ratePlanCode
+      checkDates({ checkinDate, checkoutDate })
+      checkStayDates(checkinDate, checkoutDate)
+      checkGuests(adults, children)
+      checkConcurrency(concurrency)
 
-          const cashPrice = 'rewardNights' in offer ? null : parseFloat(offer.productUses[0].rates.totalRate.average.amountAfterTax)
+      // Check costs
+      const isAmount = value => typeof value === 'number' && value >= 0
+      if (!isAmount(pointsBudget) || !isAmount(pointValue) || !isAmount(switchPenalty)) {
+        throw new ValidationError('pointsBudget, pointValue and switchPenalty should be positive numbers')
+      }
 
-          let points = null
+      return this.#getStayDates(codes, { checkinDate, checkoutDate }, { signal, timeout })
+        .then(stay => {
+          const endDate = dayjs(stay.checkoutDate).subtract(1, 'day').format('YYYY-MM-DD')
 
-          if ('rewardNights' in offer) {
-            const noCash = {
-              points: offer.rewardNights.pointsOnly.averageDailyPoints,
-              cashPrice: 0
-            }
+          return this.getLowestMultiHotelPrices(codes, { startDate: stay.checkinDate, endDate, rateCodes, concurrency, fresh, signal, timeout, targetCurrency })
+            .then(calendars => ({ ...stay, calendars }))
+        })
+        .then(({ checkinDate, checkoutDate, calendars }) => {
+          const numberOfNights = dayjs(checkoutDate).diff(checkinDate, 'day')
+          const validCalendars = calendars.filter(calendar => calendar.isValid && calendar.currencyCode !== null)
+          const currencyCodes = [...new Set(validCalendars.map(calendar => targetCurrency || calendar.currencyCode))]
 
-            const cashOptions = 'options' in offer.rewardNights.pointsCash
-              ? offer.rewardNights.pointsCash.options.map((option) => {
-                return {
-                  points: option.averageDailyPoints,
-                  cashPrice: option.averageDailyCash
-                }
-              })
-              : []
-            points = [noCash, ...cashOptions]
+          if (currencyCodes.length > 1) {
+            throw new ValidationError('The hotels use different currencies, set targetCurrency to compare them')
           }
 
+          const plan = findCheapestPlan(validCalendars, { checkinDate, numberOfNights, pointsBudget, pointValue, switchPenalty })
+
+          if (!plan) return null
+
           return {
-            productCode,
-            rateCode,
-            cashPrice,
-            points
+            checkinDate,
+            checkoutDate,
+            currencyCode: currencyCodes[0],
+            ...plan,
+            segments: getPlanSegments(plan.nights).map(segment => ({
+              ...segment,
+              bookingUrl: createBookingPageUrl(segment.hotelCode, {
+                checkinDate: segment.checkinDate,
+                checkoutDate: segment.checkoutDate,
+                adults,
+                children,
+                rewardNights: segment.payWith === 'points',
+                locale: this.#locale
+              })
+            }))
           }
         })
-
-        return {
-          products,
-          ratePlans,
-          currency,
-          prices: prices.sort((a, b) => a.ratePrice < b.ratePrice ? -1 : 1)
-        }
-      })
+    })
   }
 
   /**
-   * Returns an array of lowest prices (in points and in cash) in a search area and for a given night
+   * Gets price calendars for one or more hotels, splitting the request by length of stay, period and group of hotels
    *
-   * @param {string} centrePoint The point (in [longitude, latitude] notation) to search from
-   * @param {object} options An object containing radius, unit and checkinDate parameters (all optional)
+   * @param {string[]} hotelCodes The systemwide ids of the hotels
+   * @param {Object} search An object containing startDate, endDate, lengths (the lengths of stay), codes (the rate codes), concurrency, fresh, signal and timeout keys
    * @returns {Promise<Array>}
-  */
-  getLowestAreaPrices (coordinates, {
-    radius = 100,
-    unit = 'mi',
-    checkinDate = dayjs().format('YYYY-MM-DD'),
-    adults = 1,
-    children = 0
-  } = {}) {
-    const headers = this.#headers
-    const url = 'https://apis.ihg.com/availability/v3/hotels/offers?fieldset=summary,summary.rateRanges'
-
-    // Check coordinates
-    const validCoordinates = Array.isArray(coordinates) &&
-        coordinates.length === 2 &&
-        coordinates.every(d => typeof (d) === 'number')
+   */
+  #getPriceCalendars (hotelCodes, { startDate, endDate, lengths, codes, concurrency, fresh, signal, timeout }) {
+    // Calculate number of days
+    const days = dayjs(endDate).diff(dayjs(startDate), 'day') + 1
+    const maxLength = Math.max(...lengths)
 
-    if (!validCoordinates) throw new Error('Invalid format used for coordinates, please use [lng, lat]')
+    const searches = lengths.map(length => ({ lengthOfStay: length, days }))
 
-    const [longitude, latitude] = coordinates
+    // Single nights are needed to tell stays that are restricted apart from stays that are sold out
+    const singleNights = maxLength > 1 ? { lengthOfStay: 1, days: days + maxLength - 1 } : null
 
-    // Check checkinDate format
-    const isValidCheckinDate = dayjs(checkinDate, 'YYYY-MM-DD', true).isValid()
-    if (!isValidCheckinDate) throw new Error('Invalid value for checkinDate (should be formatted as YYYY-MM-DD)')
+    const batches = chunk(hotelCodes.map(hotelCode => hotelCode.toUpperCase()), MAX_WINDOW_HOTELS)
+    const tasks = [...searches, singleNights].filter(search => search).flatMap(search => {
+      const windows = getDateWindows(startDate, search.days, MAX_WINDOW_DAYS)
+      return batches.flatMap(batch => windows.map(window => ({ search, batch, window })))
+    })
 
-    const checkoutDate = dayjs(checkinDate).add(1, 'day').format('YYYY-MM-DD')
+    return mapConcurrently(tasks, concurrency, ({ search, batch, window }) => this.#getPriceWindow(batch, window, { lengthOfStay: search.lengthOfStay, rateCodes: codes, fresh, signal, timeout }))
+      .then(results => {
+        // A cancelled search fails as a whole instead of reporting every period as an error
+        if (signal && signal.aborted) throw new AbortError()
 
-    // Check distance unit
-    if (!['KM', 'MI'].includes(unit.toUpperCase())) throw new Error('Wrong distance unit provided')
+        return tasks.map((task, i) => ({ ...task, result: results[i] }))
+      })
+      .then(tasks => batches.flatMap((batch, b) => batch.map((u, h) => {
+        const hotelCode = hotelCodes[b * MAX_WINDOW_HOTELS + h]
 
-    // Check maximum distance
-    if (radius > 100) throw new Error('The value of radius should not be greater than 100')
+        const getCalendar = (search) => {
+          const searchTasks = tasks.filter(task => task.search === search && task.batch === batch)
+          const windows = searchTasks.map(task => ({ ...task.window, lengthOfStay: search.lengthOfStay }))
+          const results = searchTasks.map(({ result }) => result.status === 'fulfilled' ? { ...result, value: result.value[h] } : result)
 
-    const json = {
-      products: [
-        {
-          productCode: 'SR',
-          guestCounts: [
-            {
-              otaCode: 'AQC10',
-              count: adults
-            },
-            {
-              otaCode: 'AQC8',
-              count: children
-            }
-          ],
-          quantity: 1
-        }
-      ],
-      radius,
-      distanceUnit: unit.toUpperCase(),
-      distanceType: 'STRAIGHT_LINE',
-      startDate: checkinDate,
-      endDate: checkoutDate,
-      geoLocation: [
-        {
-          longitude,
-          latitude
+          return mergePriceWindows(hotelCode, windows, results)
         }
-      ],
-      rates: {
-        ratePlanCodes: [
-          {
-            internal: 'IVANI'
-          }
-        ]
-      }
-    }
-
-    return got.post(url, { headers, json, retry: { methods: ['POST'] } }).json()
-      .then(json => json.hotels)
-      .then(hotels => hotels.filter(hotel => hotel.availabilityStatus === 'OPEN'))
-      .then(hotels => hotels.map(hotel => {
-        const { hotelMnemonic: hotelCode, propertyCurrency: currencyCode, lowestPointsOnlyCost, lowestCashOnlyCost } = hotel
-
-        const cashPrice = parseFloat(lowestCashOnlyCost.amountAfterTax)
-        const points = lowestPointsOnlyCost ? lowestPointsOnlyCost.points : null
 
-        return {
-          hotelCode,
-          cashPrice,
-          currencyCode,
-          points
-        }
-      }))
+        return combineStayCalendars(hotelCode, searches.map(getCalendar), singleNights && getCalendar(singleNights))
+      })))
   }
 
   /**
-   * Returns a list of destinations and their coordinates
+   * Gets the lowest prices for a group of hotels and a period of at most 62 days
    *
-   * @param {string} query A query to autocomplete, at least 3 characters long
+   * @param {string[]} hotelCodes The systemwide ids of the hotels
+   * @param {dateWindow} window The period to get prices for
+   * @param {Object} search An object containing the lengthOfStay (number of nights) and rateCodes to search for and the fresh, signal and timeout keys
+   * @returns {Promise<Array>} The currencyCode and prices, in the same order as hotelCodes, or null for hotels missing from the response
+   */
+  #getPriceWindow (hotelCodes, { startDate, endDate, days }, { lengthOfStay, rateCodes, fresh, signal, timeout }) {
+    const path = `/availability/v1/windows?hotelCodes=${hotelCodes.join(',')}&rateCodes=${rateCodes.join(',')}&startDate=${startDate}T00:00:00Z&endDate=${endDate}T00:00:00Z&lengthOfStay=${lengthOfStay}&numberOfRooms=1&includeSellStrategy=never`
+
+    return this.#request('GET', path, { cacheAs: 'getLowestHotelPrices', fresh, signal, timeout })
+      .then(response => JSON.parse(response.body))
+      .then(json => hotelCodes.map(hotelCode => json.hotels.find(hotel => hotel.hotelCode === hotelCode)))
+      .then(hotels => hotels.map(hotel => {
+        // Hotels left out of the response are reported as unknown by mergePriceWindows
+        if (!hotel) return null
+
+        const { currencyCode, rates } = hotel
+        const dates = [...new Array(days)].map((u, i) => dayjs(startDate).add(i, 'day').format('YYYY-MM-DD'))
+
+        const ratesCombined = rates.flatMap(rate => rate.windows.map(window => ({ ...window, ratePlanCode: rate.ratePlanCode })))
+
+        const prices = dates.map(checkinDate => {
+          const ratesForDate = ratesCombined.filter(rate => rate.startDate === `${checkinDate}T00:00:00Z`)
+          const points = getLowestRate(ratesForDate, 'totalPoints')
+          const cashPrice = getLowestRate(ratesForDate, 'totalAmount')
+
+          return {
+            checkinDate,
+            lengthOfStay,
+            cashPrice: cashPrice ? cashPrice.totalAmount : null,
+            points: points ? points.totalPoints : null,
+            cashRateCode: cashPrice ? cashPrice.ratePlanCode : null,
+            pointsRateCode: points ? points.ratePlanCode : null
+          }
+        })
+
+        return {
+          currencyCode,
+          prices
+        }
+      }))
+  }
+
+  /**
+   * Returns an object containing arrays of available products, available rate plans and available prices
+   * (in cash and points) for a specific hotel on specific dates
+   *
+   * @param {string} hotelCode The systemwide id of the hotel
+   * @param {startEndDatesAndGuests} options
+   * @returns {Promise<Object>} The products, ratePlans, currency and prices (as stayPrice objects) of the stay
+  */
+
+  /**
+   * @typedef {Object} startEndDatesAndGuests
+   * @property {string} checkinDate The check in date, defaults to today at the hotel. Should not be in the past at the hotel
+   * @property {string} checkoutDate The check out date, defaults to checkinDate + 1 day
+   * @property {number} adults The number of adult guests in the room
+   * @property {number} children The number of children in the room
+   * @property {room[]} rooms The guests in every room, to book more than one room. Overrides adults and children
+   * @property {string|string[]} rateCodes The rate codes to search for or the name of one of the ratePresets, replacing the default 'reward' rather than adding to it
+   * @property {stayFilter} filter Only returns prices with these policies
+   * @property {boolean} fresh Whether to bypass the cache, defaults to false
+   * @property {AbortSignal} signal Cancels the request when triggered
+   * @property {number} timeout The maximum time in milliseconds for the request to the API, including retries
+   * @property {string} targetCurrency The ISO 4217 code of the currency to convert prices to, defaults to the one set on the client
+   */
+
+  /**
+   * @typedef {Object} room
+   * @property {number} adults The number of adults sharing the room, defaults to 1
+   * @property {number} children The number of children sharing the room, defaults to 0
+   */
+
+  /**
+   * @typedef {Object} stayFilter
+   * @property {boolean} refundable Whether the rate should be refundable
+   * @property {boolean} depositRequired Whether the rate should require a deposit
+   * @property {boolean} mealsIncluded Whether the rate should include meals
+   * @property {string} cancelAfter The ISO 8601 date or datetime until which the rate should at least be cancellable
+   */
+
+  /**
+   * @typedef {Object} upsell
+   * @property {string} productCode The product (room type) the upsell upgrades to
+   * @property {string} rateCode The rate plan of the upgraded room, the same as the one of the price it belongs to
+   * @property {number|null} priceDifference The extra price per room and per night in the hotel's currency, including taxes
+   */
+
+  /**
+   * @typedef {Object} stayNight
+   * @property {string} date The date of the night
+   * @property {number|null} amountBeforeTax The average price per room for that night, before taxes and fees
+   * @property {number|null} amountAfterTax The average price per room for that night, including taxes and fees
+   */
+
+  /**
+   * @typedef {Object} stayPrice
+   * @property {string} productCode The product (room type) of the price
+   * @property {string} rateCode The rate plan of the price
+   * @property {number|null} cashPrice The average price per room and per night, including taxes. Null for reward rates
+   * @property {number|null} totalBeforeTax The average price per room for the whole stay, before taxes and fees. Null for reward rates
+   * @property {number|null} totalAfterTax The average price per room for the whole stay, including taxes and fees. Null for reward rates
+   * @property {number|null} taxesAndFees The average taxes and fees per room for the whole stay. Null for reward rates
+   * @property {number|null} totalCashPrice The price of all rooms for the whole stay, including taxes and fees. Null for reward rates
+   * @property {number|null} totalPoints The points for all rooms and the whole stay when paying in points only. Null for cash rates
+   * @property {stayNight[]|null} nights The price of every night, null for reward rates or when the API doesn't break down the price
+   * @property {Array|null} points The reward options, with points and cashPrice per room and per night and totalPoints and totalCashPrice for all rooms and the whole stay. Null for cash rates
+   */
+
+  getStayPrices (hotelCode, {
+    checkinDate,
+    checkoutDate,
+    adults = 1,
+    children = 0,
+    rooms = [{ adults, children }],
+    rateCodes = 'reward',
+    filter = {},
+    fresh = false,
+    signal,
+    timeout,
+    targetCurrency = this.#targetCurrency
+  } = {}) {
+    return withContext('getStayPrices', { hotelCode, checkinDate, checkoutDate, rooms, rateCodes, filter }, () => {
+      checkHotelCode(hotelCode)
+      checkDates({ checkinDate, checkoutDate })
+      checkStayDates(checkinDate, checkoutDate)
+      checkGuests(adults, children)
+
+      const guests = getRooms(rooms)
+      const codes = getRateCodes(rateCodes)
+      const matchesFilter = getStayFilter(filter)
+
+      checkTargetCurrency(targetCurrency, this.#exchangeRates)
+
+      return this.#getStayDates([hotelCode], { checkinDate, checkoutDate }, { signal, timeout })
+        .then(({ checkinDate, checkoutDate }) => {
+          const path = '/availability/v3/hotels/offers?fieldset=rateDetails,rateDetails.policies,rateDetails.bonusRates,rateDetails.upsells'
+
+          const json = {
+            // One product per room, so every room can have its own guests
+            products: guests.map(room => ({
+              productCode: 'SR',
+              guestCounts: [
+                {
+                  otaCode: 'AQC10',
+                  count: room.adults
+                },
+                {
+                  otaCode: 'AQC8',
+                  count: room.children
+                }],
+              startDate: checkinDate,
+              endDate: checkoutDate,
+              quantity: 1
+            })),
+            startDate: checkinDate,
+            endDate: checkoutDate,
+            hotelMnemonics: [hotelCode.toUpperCase()],
+            rates: {
+              ratePlanCodes: codes.map(code => ({ internal: code }))
+            },
+            options: {
+              disabilityMode: 'ACCESSIBLE_AND_NON_ACCESSIBLE',
+              returnAdditionalRatePlanDescriptions: true
+            }
+          }
+
+          return this.#request('POST', path, { json, cacheAs: 'getStayPrices', fresh, signal, timeout })
+            .then(response => JSON.parse(response.body))
+            .then(json => json.hotels[0])
+            .then(hotelData => {
+              // Get list of products offered
+              const { productDefinitions } = hotelData
+
+              const products = productDefinitions
+                .filter((productDefinition) => 'inventoryTypeName' in productDefinition && productDefinition.isAvailable)
+                .map((productDefinition) => {
+                  return {
+                    productCode: productDefinition.inventoryTypeCode,
+                    productName: productDefinition.inventoryTypeName,
+                    productDescription: productDefinition.description ? productDefinition.description.trim() : null,
+                    productIsPremium: productDefinition.isPremium
+                  }
+                })
+
+              const currency = hotelData.propertyCurrency
+
+              // Get a list of ratePlans offered
+              const { ratePlanDefinitions } = hotelData
+
+              const ratePlans = ratePlanDefinitions
+                .filter((ratePlanDefinition) => 'additionalDescriptions' in ratePlanDefinition)
+                .map((ratePlanDefinition) => {
+                  return {
+                    rateCode: ratePlanDefinition.code,
+                    rateName: ratePlanDefinition.additionalDescriptions.longRateName,
+                    rateDescription: ratePlanDefinition.additionalDescriptions.longRateDesc
+                  }
+                })
+
+              // Check rates per room type
+              const { rateDetails } = hotelData
+
+              const numberOfNights = dayjs(checkoutDate).diff(checkinDate, 'day')
+              const numberOfRoomNights = numberOfNights * guests.length
+
+              const prices = rateDetails.offers.map((offer) => {
+                const productCode = offer.productUses[0].inventoryTypeCode
+                const rateCode = offer.ratePlanCode
+                const policies = getOfferPolicies(offer)
+
+                if ('rewardNights' in offer) {
+                  // Reward prices are per room and per night, unless the API provides the totals
+                  const { pointsOnly, pointsCash } = offer.rewardNights
+
+                  const noCash = {
+                    points: pointsOnly.averageDailyPoints,
+                    cashPrice: 0,
+                    totalPoints: pointsOnly.totalPoints ?? pointsOnly.averageDailyPoints * numberOfRoomNights,
+                    totalCashPrice: 0
+                  }
+
+                  const cashOptions = pointsCash && 'options' in pointsCash
+                    ? pointsCash.options.map((option) => {
+                      return {
+                        points: option.averageDailyPoints,
+                        cashPrice: option.averageDailyCash,
+                        totalPoints: option.totalPoints ?? option.averageDailyPoints * numberOfRoomNights,
+                        totalCashPrice: option.totalCash ?? roundAmount(option.averageDailyCash * numberOfRoomNights)
+                      }
+                    })
+                    : []
+
+                  return {
+                    productCode,
+                    rateCode,
+                    cashPrice: null,
+                    totalBeforeTax: null,
+                    totalAfterTax: null,
+                    taxesAndFees: null,
+                    totalCashPrice: null,
+                    totalPoints: noCash.totalPoints,
+                    nights: null,
+                    points: [noCash, ...cashOptions],
+                    ...policies
+                  }
+                }
+
+                // Cash prices are given for every room, average them per room like reward prices and add them up for the totals
+                const { productUses } = offer
+                const sumOf = amounts => amounts.every(amount => !isNaN(amount)) ? amounts.reduce((sum, amount) => sum + amount, 0) : null
+                const perRoom = amounts => sumOf(amounts) === null ? null : roundAmount(sumOf(amounts) / productUses.length)
+
+                const totalsAfterTax = productUses.map(use => parseFloat(use.rates.totalRate.amountAfterTax))
+                const cashPrice = perRoom(productUses.map(use => parseFloat(use.rates.totalRate.average.amountAfterTax)))
+                const totalBeforeTax = perRoom(productUses.map(use => parseFloat(use.rates.totalRate.amountBeforeTax)))
+                const totalAfterTax = perRoom(totalsAfterTax)
+                const totalCashPrice = sumOf(totalsAfterTax)
+
+                return {
+                  productCode,
+                  rateCode,
+                  cashPrice,
+                  totalBeforeTax,
+                  totalAfterTax,
+                  taxesAndFees: totalBeforeTax !== null && totalAfterTax !== null ? roundAmount(totalAfterTax - totalBeforeTax) : null,
+                  totalCashPrice: totalCashPrice === null ? null : roundAmount(totalCashPrice),
+                  totalPoints: null,
+                  nights: getStayNights(productUses, checkinDate, numberOfNights),
+                  points: null,
+                  ...policies
+                }
+              })
+
+              // Bonus points and upsells are listed separately, link them to the prices they apply to
+              const { bonusRates = [], upsells = [] } = rateDetails
+
+              const pricesWithExtras = prices.map(price => ({
+                ...price,
+                bonusPoints: getBonusPoints(bonusRates, price),
+                upsells: getUpsells(upsells, price, prices)
+              }))
+
+              return {
+                products,
+                ratePlans,
+                currency,
+                prices: pricesWithExtras.filter(matchesFilter).sort((a, b) => a.ratePrice < b.ratePrice ? -1 : 1)
+              }
+            })
+        })
+        .then(stayPrices => this.#convert(stayPrices, targetCurrency, convertStayPrices))
+    })
+  }
+
+  /**
+   * Returns an array of lowest prices (in points and in cash) in a search area and for a given night
+   *
+   * @param {string} centrePoint The point (in [longitude, latitude] notation) to search from
+   * @param {object} options An object containing radius, unit, checkinDate, adults, children, rateCodes, includeDetails, includeSoldOut, filter, sortBy, concurrency, fresh, signal, timeout and targetCurrency parameters (all optional)
    * @returns {Promise<Array>}
+  */
+
+  /**
+   * @typedef {Object} areaFilter
+   * @property {string[]} brandCodes Only returns hotels of these brands
+   * @property {string[]} brandTiers Only returns hotels of brands in these tiers
+   * @property {number} maxPoints Only returns hotels with a reward night for at most this number of points
+   * @property {number} maxCashPrice Only returns hotels with a cash price at or below this price, in the targetCurrency when converting
    */
-  getDestinations (query) {
-    // Check that the query is 3 characters or longer
-    if (query.length < 3) throw new Error('Query string should be 3 characters or more')
+  getLowestAreaPrices (coordinates, {
+    radius = 100,
+    unit = 'mi',
+    checkinDate,
+    adults = 1,
+    children = 0,
+    rateCodes = 'reward',
+    includeDetails = false,
+    includeSoldOut = false,
+    filter = {},
+    sortBy,
+    concurrency = 4,
+    fresh = false,
+    signal,
+    timeout,
+    targetCurrency = this.#targetCurrency
+  } = {}) {
+    return withContext('getLowestAreaPrices', { coordinates, radius, unit, checkinDate, adults, children, rateCodes, filter, sortBy }, () => {
+      const path = '/availability/v3/hotels/offers?fieldset=summary,summary.rateRanges'
 
-    const headers = this.#headers
-    const url = `https://apis.ihg.com/locations/v1/destinations?destination=${query}`
+      checkCoordinates(coordinates)
+
+      const [longitude, latitude] = coordinates
+
+      // Hotels in the area share the date of the centre point, of which only the longitude is known
+      const today = getTodayAt({ longitude })
+
+      checkDates({ checkinDate })
+      checkGuests(adults, children)
+      checkConcurrency(concurrency)
+
+      if (checkinDate !== undefined && checkinDate < today) {
+        throw new ValidationError(`checkinDate should not be before today in the area (${today})`)
+      }
+
+      const stayCheckinDate = checkinDate ?? today
+      const checkoutDate = dayjs(stayCheckinDate).add(1, 'day').format('YYYY-MM-DD')
+
+      checkUnit(unit)
+      checkRadius(radius)
+
+      const codes = getRateCodes(rateCodes)
+      const matchesFilter = getAreaFilter(filter)
+
+      if (![undefined, 'distance', 'points', 'cashPrice'].includes(sortBy)) {
+        throw new ValidationError('Invalid value for sortBy (should be one of distance, points or cashPrice)')
+      }
+
+      checkTargetCurrency(targetCurrency, this.#exchangeRates)
+
+      // Brands and distances are only known from the hotel details
+      const needsDetails = includeDetails || sortBy === 'distance' || Boolean(filter.brandCodes || filter.brandTiers)
+
+      const json = {
+        products: [
+          {
+            productCode: 'SR',
+            guestCounts: [
+              {
+                otaCode: 'AQC10',
+                count: adults
+              },
+              {
+                otaCode: 'AQC8',
+                count: children
+              }
+            ],
+            quantity: 1
+          }
+        ],
+        radius,
+        distanceUnit: unit.toUpperCase(),
+        distanceType: 'STRAIGHT_LINE',
+        startDate: stayCheckinDate,
+        endDate: checkoutDate,
+        geoLocation: [
+          {
+            longitude,
+            latitude
+          }
+        ],
+        rates: {
+          ratePlanCodes: codes.map(code => ({ internal: code }))
+        }
+      }
+
+      return this.#request('POST', path, { json, cacheAs: 'getLowestAreaPrices', fresh, signal, timeout })
+        .then(response => JSON.parse(response.body))
+        .then(json => json.hotels)
+        .then(hotels => hotels.filter(hotel => includeSoldOut || hotel.availabilityStatus === 'OPEN'))
+        .then(hotels => hotels.map(hotel => {
+          const { hotelMnemonic: hotelCode, propertyCurrency: currencyCode, lowestPointsOnlyCost, lowestCashOnlyCost } = hotel
 
-    return got.get(url, { headers }).json()
-      .then(locations => {
-        return locations.map(location => {
-          const { longitude, latitude, clarifiedLocation: display } = location
+          // Sold out hotels come without prices
+          const cashPrice = lowestCashOnlyCost ? parseFloat(lowestCashOnlyCost.amountAfterTax) : null
+          const points = lowestPointsOnlyCost ? lowestPointsOnlyCost.points : null
 
           return {
-            coordinates: [longitude, latitude],
-            display
+            hotelCode,
+            cashPrice,
+            currencyCode,
+            points,
+            cashRateCode: lowestCashOnlyCost ? lowestCashOnlyCost.ratePlanCode || null : null,
+            pointsRateCode: lowestPointsOnlyCost ? lowestPointsOnlyCost.ratePlanCode || null : null,
+            ...(includeSoldOut && { availabilityStatus: hotel.availabilityStatus })
           }
+        }))
+        .then(hotels => this.#convert(hotels, targetCurrency, convertAreaPrices))
+        .then(hotels => needsDetails ? this.#addAreaDetails(hotels, coordinates, unit, { concurrency, fresh, signal, timeout }) : hotels)
+        .then(hotels => sortAreaPrices(hotels.filter(matchesFilter), sortBy))
+    })
+  }
+
+  /**
+   * Runs the area search for every check-in date in a period and returns the lowest prices per hotel and per night
+   *
+   * @param {number[]} coordinates The point (in [longitude, latitude] notation) to search from
+   * @param {object} options An object containing startDate, endDate, concurrency and the options of getLowestAreaPrices (all optional)
+   * @returns {Promise<areaPriceMatrix>}
+   */
+
+  /**
+   * @typedef {Object} areaPriceMatrix
+   * @property {string[]} dates The check-in dates, in order
+   * @property {matrixHotel[]} hotels Every hotel with availability on at least one of the dates
+   * @property {matrixNight[]} nights The cheapest hotels for every date
+   * @property {Object[]} errors The dates that could not be retrieved, as objects with checkinDate and message keys
+   */
+
+  /**
+   * @typedef {Object} matrixHotel
+   * @property {string} hotelCode The systemwide id of the hotel
+   * @property {string} currencyCode The currency of the cash prices of the hotel
+   * @property {Object[]} prices The prices for every date in dates, with checkinDate, cashPrice and points keys (null when the hotel wasn't found that night)
+   * @property {Object|null} lowestCashPrice The cheapest night in cash, with checkinDate and cashPrice keys
+   * @property {Object|null} lowestPoints The cheapest night in points, with checkinDate and points keys
+   */
+
+  /**
+   * @typedef {Object} matrixNight
+   * @property {string} checkinDate The check-in date
+   * @property {number} numberOfHotels The number of hotels found that night
+   * @property {Object|null} lowestCashPrice The cheapest hotel in cash, with hotelCode, cashPrice and currencyCode keys
+   * @property {Object|null} lowestPoints The cheapest hotel in points, with hotelCode and points keys
+   */
+  getAreaPriceMatrix (coordinates, {
+    startDate,
+    endDate,
+    concurrency = 4,
+    signal,
+    ...options
+  } = {}) {
+    return withContext('getAreaPriceMatrix', { coordinates, startDate, endDate }, () => {
+      checkCoordinates(coordinates)
+      checkDates({ startDate, endDate })
+      checkPeriodDates(startDate, endDate)
+      checkConcurrency(concurrency)
+
+      // Days in the past in the area are left out, as with price calendars
+      const today = getTodayAt({ longitude: coordinates[0] })
+      const periodStartDate = startDate === undefined || startDate < today ? today : startDate
+      const periodEndDate = endDate ?? dayjs(periodStartDate).add(6, 'day').format('YYYY-MM-DD')
+
+      const days = dayjs(periodEndDate).diff(periodStartDate, 'day') + 1
+      if (days < 1) throw new ValidationError(`endDate should not be before today in the area (${today})`)
+
+      const dates = Array.from({ length: days }, (value, index) => dayjs(periodStartDate).add(index, 'day').format('YYYY-MM-DD'))
+
+      return mapConcurrently(dates, concurrency, checkinDate => this.getLowestAreaPrices(coordinates, { ...options, checkinDate, signal }))
+        .then(results => {
+          // Invalid options fail every date the same way, and a cancelled search fails as a whole
+          const fatal = results.find(result => result.status === 'rejected' && result.reason instanceof ValidationError)
+          if (fatal) throw fatal.reason
+          if (signal && signal.aborted) throw new AbortError()
+
+          return createAreaPriceMatrix(dates, results)
         })
-      })
+    })
+  }
+
+  /**
+   * Returns a list of destinations and their coordinates
+   *
+   * @param {string} query A query to autocomplete, at least 3 characters long
+   * @param {Object} options An object containing locale and the requestOptions keys (all optional)
+   * @returns {Promise<Array>}
+   */
+  getDestinations (query, { locale = this.#locale, fresh = false, signal, timeout } = {}) {
+    return withContext('getDestinations', { query }, () => {
+      // Check that the query is 3 characters or longer
+      if (typeof query !== 'string' || query.length < 3) throw new ValidationError('Invalid value for query (should be a string of 3 characters or more)')
+
+      const localeParameter = getLocaleParameter(locale)
+      const path = `/locations/v1/destinations?destination=${encodeURIComponent(query)}${localeParameter}`
+
+      return this.#request('GET', path, { cacheAs: 'getDestinations', fresh, signal, timeout })
+        .then(response => JSON.parse(response.body))
+        .then(locations => {
+          return locations.map(location => {
+            const { longitude, latitude, clarifiedLocation: display } = location
+
+            return {
+              coordinates: [longitude, latitude],
+              display
+            }
+          })
+        })
+    })
   }
 
   /**
@@ -502,23 +1426,2394 @@ export default class Trippe {
    * with the givebn check in and check out dates
    *
    * @param {string} hotelCode The systemwide id of the hotel
-   * @param {object} dates An object containing startDate and endDate keys (both optional)
+   * @param {bookingPageOptions} options The stay to prefill (all keys optional)
+   * @returns {string}
+   */
+  getBookingPageUrl (hotelCode, options = {}) {
+    return withContext('getBookingPageUrl', { hotelCode, ...options }, () => {
+      // Links are built without requests, so today is only local to the hotel when its time zone was looked up before
+      const today = typeof hotelCode === 'string' ? getTodayAt(this.#locations.get(hotelCode.toUpperCase()) || {}) : null
+
+      return createBookingPageUrl(hotelCode, { locale: this.#locale, ...(today && { checkinDate: today }), ...options })
+    })
+  }
+
+  /**
+   * Keeps the hotels of which the brand matches, using the hotel details. Invalid hotels and hotels of which the details could not be retrieved are left out
+   *
+   * @param {Array} hotels Objects with hotelCode and isValid keys
+   * @param {Function} matchesBrand A function taking a brandCode and returning whether to keep the hotel
+   * @param {object} options An object containing concurrency, fresh, signal and timeout keys
    * @returns {Promise<Array>}
    */
-  getBookingPageUrl (hotelCode, {
-    checkinDate = dayjs().format('YYYY-MM-DD'),
-    checkoutDate = dayjs(checkinDate).add(1, 'day').format('YYYY-MM-DD'),
-    adults = 1,
-    children = 0
-  } = {}) {
-    const checkinDateElements = checkinDate.split('-')
-    const checkinDay = checkinDateElements[2]
-    const checkinMonthYear = `${(+checkinDateElements[1] - 1).toString().padStart(2, '0')}${checkinDateElements[0]}`
+  #filterByBrand (hotels, matchesBrand, { concurrency, fresh, signal, timeout }) {
+    const validHotels = hotels.filter(hotel => hotel.isValid)
+
+    return mapConcurrently(validHotels, concurrency, hotel => this.getHotelDetails(hotel.hotelCode, { fresh, signal, timeout }))
+      .then(results => {
+        if (signal && signal.aborted) throw new AbortError()
+
+        return validHotels.filter((hotel, i) => results[i].status === 'fulfilled' && matchesBrand(results[i].value.brandCode))
+      })
+  }
+
+  /**
+   * Adds the name, brand, coordinates and distance from the centre point to the hotels of an area search
+   *
+   * @param {Array} hotels The area prices
+   * @param {number[]} centrePoint The point searched from, as [longitude, latitude]
+   * @param {string} unit The unit of distance, mi or km
+   * @param {object} options An object containing concurrency, fresh, signal and timeout keys
+   * @returns {Promise<Array>} The area prices, with null values for hotels of which the details could not be retrieved
+   */
+  #addAreaDetails (hotels, centrePoint, unit, { concurrency, fresh, signal, timeout }) {
+    return mapConcurrently(hotels, concurrency, hotel => this.getHotelDetails(hotel.hotelCode, { fresh, signal, timeout }))
+      .then(results => {
+        if (signal && signal.aborted) throw new AbortError()
+
+        return hotels.map((hotel, i) => {
+          const details = results[i].status === 'fulfilled' ? results[i].value : null
+
+          return {
+            ...hotel,
+            hotelName: details ? details.hotelName : null,
+            brandCode: details ? details.brandCode : null,
+            brandName: details ? details.brandName : null,
+            brandTier: details ? details.brandTier : null,
+            coordinates: details ? details.coordinates : null,
+            distance: details ? getDistance(centrePoint, details.coordinates, unit) : null
+          }
+        })
+      })
+  }
+
+  /**
+   * Converts the prices in result to targetCurrency, using the exchange rates of the client
+   *
+   * @param {*} result The result of a method
+   * @param {string|undefined} targetCurrency The ISO 4217 code of the currency to convert to, undefined to not convert
+   * @param {Function} convertResult A function taking result and a converter and returning the converted result
+   * @returns {Promise<*>}
+   */
+  #convert (result, targetCurrency, convertResult) {
+    if (!targetCurrency) return Promise.resolve(result)
+
+    return Promise.resolve(this.#exchangeRates.getRates())
+      .then(({ base, date = null, rates }) => {
+        const table = { ...rates, [base]: 1 }
+
+        return convertResult(result, {
+          currencyCode: targetCurrency,
+          rateDate: date,
+          convert: (amount, from) => amount === null ? null : roundAmount(convertAmount(amount, from, targetCurrency, table))
+        })
+      })
+  }
+
+  /**
+   * Gets today's date at the hotels, the latest one when they're in different time zones, using the same rule as area
+   * searches (see getTodayAt). Hotel details are only looked up when date is left out or close enough to today to be in
+   * the past somewhere, once per hotel and through the cache, as the location of a hotel doesn't change
+   *
+   * @param {string[]} hotelCodes The systemwide ids of the hotels
+   * @param {string|undefined} date The date given by the caller
+   * @param {requestOptions} options An object containing signal and timeout keys
+   * @returns {Promise<string|null>} The date, null when date is in the future everywhere
+   */
+  #getLocalToday (hotelCodes, date, { signal, timeout }) {
+    // No place on earth is more than 14 hours ahead of UTC
+    if (date !== undefined && date >= getTodayAtOffset(14)) return Promise.resolve(null)
+
+    const codes = [...new Set(hotelCodes.map(hotelCode => hotelCode.toUpperCase()))]
+
+    return mapConcurrently(codes, 4, hotelCode => {
+      if (this.#locations.has(hotelCode)) return Promise.resolve(this.#locations.get(hotelCode))
+
+      return this.getHotelDetails(hotelCode, { signal, timeout })
+        .then(({ timeZone, coordinates }) => {
+          const location = { timeZone, longitude: coordinates[0] }
+          this.#locations.set(hotelCode, location)
+          return location
+        })
+    })
+      .then(results => {
+        if (signal && signal.aborted) throw new AbortError()
+
+        // Hotels of which the location can't be looked up, such as unknown hotels, don't reject any date that might be valid
+        const dates = results.map(result => (result.status === 'fulfilled' && getTodayAt(result.value)) || getTodayAtOffset(-12))
+
+        return dates.sort().pop()
+      })
+  }
+
+  /**
+   * Fills in the dates of a stay, starting today at the hotels by default, and checks that it doesn't start in the past
+   *
+   * @param {string[]} hotelCodes The systemwide ids of the hotels
+   * @param {Object} dates An object containing the checkinDate and checkoutDate given by the caller (both optional)
+   * @param {requestOptions} options An object containing signal and timeout keys
+   * @returns {Promise<Object>} An object containing checkinDate and checkoutDate keys
+   */
+  #getStayDates (hotelCodes, { checkinDate, checkoutDate }, options) {
+    return this.#getLocalToday(hotelCodes, checkinDate, options)
+      .then(today => {
+        if (today !== null && checkinDate !== undefined && checkinDate < today) {
+          throw new ValidationError(`checkinDate should not be before today at the hotel (${today})`)
+        }
+
+        const stayCheckinDate = checkinDate ?? today
+        const stayCheckoutDate = checkoutDate ?? dayjs(stayCheckinDate).add(1, 'day').format('YYYY-MM-DD')
+
+        checkStayDates(stayCheckinDate, stayCheckoutDate)
 
-    const checkoutDateElements = checkoutDate.split('-')
-    const checkoutDay = checkoutDateElements[2]
-    const checkoutMonthYear = `${(+checkoutDateElements[1] - 1).toString().padStart(2, '0')}${checkoutDateElements[0]}`
+        return { checkinDate: stayCheckinDate, checkoutDate: stayCheckoutDate }
+      })
+  }
+
+  /**
+   * Fills in the dates of a price calendar, starting today at the hotels by default. Days that are in the past at the
+   * hotels are left out
+   *
+   * @param {string[]} hotelCodes The systemwide ids of the hotels
+   * @param {Object} dates An object containing the startDate and endDate given by the caller (both optional)
+   * @param {requestOptions} options An object containing signal and timeout keys
+   * @returns {Promise<Object>} An object containing startDate and endDate keys
+   */
+  #getPeriodDates (hotelCodes, { startDate, endDate }, options) {
+    return this.#getLocalToday(hotelCodes, startDate, options)
+      .then(today => {
+        const periodStartDate = today !== null && (startDate === undefined || startDate < today) ? today : startDate
+        const periodEndDate = endDate ?? dayjs(periodStartDate).add(MAX_WINDOW_DAYS - 1, 'day').format('YYYY-MM-DD')
+
+        if (periodEndDate < periodStartDate) {
+          throw new ValidationError(startDate === undefined || startDate < periodStartDate
+            ? `endDate should not be before today at the hotel (${today})`
+            : 'endDate should not be before startDate')
+        }
+
+        return { startDate: periodStartDate, endDate: periodEndDate }
+      })
+  }
+
+  /**
+   * Sends a request to the API through the transport, or gets its response from the cache
+   * Requests wait for the limits set on the instance and are retried as set in the retry options
+   * Responses with a status code other than 2xx are turned into errors
+   *
+   * @param {string} method The HTTP method, either GET or POST
+   * @param {string} path The path of the endpoint, including the query string
+   * @param {Object} options An object containing json (the request body), cacheAs (the method name used to look up the TTL), fresh, signal and timeout keys (all optional)
+   * @returns {Promise<transportResponse>}
+   */
+  #request (method, path, { json, cacheAs, fresh = false, signal, timeout } = {}) {
+    const headers = this.#headers
+    const url = `${this.#baseUrl}${path}`
+
+    const ttl = this.#cache && cacheAs ? this.#cache.ttl[cacheAs] || 0 : 0
+    const key = getRequestKey({ method, url, json })
+
+    // Combine the signal of the caller with the timeout. The controller is only created when either is
+    // given, so requests without them also work where AbortController is not available (Node 14)
+    checkAbortSupport(signal, timeout)
+    const controller = signal || timeout ? new AbortController() : null
+    const abort = () => controller.abort()
+    const timer = timeout ? setTimeout(abort, timeout) : null
+    const requestSignal = controller ? controller.signal : undefined
+
+    if (signal) {
+      if (signal.aborted) abort()
+      signal.addEventListener('abort', abort, { once: true })
+    }
+
+    const request = { method, url, headers, json, signal: requestSignal }
+
+    const attempt = (retryCount) => this.#limiter(() => this.#transport(request), requestSignal)
+      .then(
+        response => {
+          const { limit, statusCodes } = this.#retry
+
+          if (retryCount < limit && statusCodes.includes(response.statusCode)) {
+            return wait(getRetryDelay(this.#retry, retryCount, response.headers), requestSignal)
+              .then(() => attempt(retryCount + 1))
+          }
+
+          return response
+        },
+        error => {
+          if (requestSignal && requestSignal.aborted) {
+            throw new AbortError()
+          } else if (error instanceof TrippeError) {
+            throw error
+          } else if (retryCount < this.#retry.limit) {
+            return wait(getRetryDelay(this.#retry, retryCount), requestSignal)
+              .then(() => attempt(retryCount + 1))
+          }
+
+          throw new TrippeError(`Could not reach the API (${error.message})`, { cause: error })
+        }
+      )
+
+    return Promise.resolve(ttl > 0 && !fresh ? this.#cache.store.get(key) : undefined)
+      .then(cached => cached || attempt(0)
+        .then(response => {
+          // Only successful responses are cached
+          if (ttl > 0 && response.statusCode >= 200 && response.statusCode <= 299) {
+            return Promise.resolve(this.#cache.store.set(key, response, ttl)).then(() => response)
+          }
+
+          return response
+        })
+      )
+      .then(response => {
+        if (response.statusCode < 200 || response.statusCode > 299) {
+          throw createApiError(response)
+        }
+
+        return response
+      })
+      .catch((error) => {
+        // Tell a timeout apart from a cancellation by the caller
+        if (error instanceof AbortError && timer && !(signal && signal.aborted)) {
+          throw new TimeoutError(`The request timed out after ${timeout}ms`)
+        }
+
+        throw error
+      })
+      .finally(() => {
+        clearTimeout(timer)
+        if (signal) signal.removeEventListener('abort', abort)
+      })
+  }
+}
+
+/**
+ * The base class of all errors thrown by Trippe
+ */
+export class TrippeError extends Error {
+  /**
+   * @param {string} message The error message
+   * @param {Object} details An object containing statusCode, apiErrorCodes, methodName, params and cause keys (all optional)
+   */
+  constructor (message, { statusCode = null, apiErrorCodes = [], methodName = null, params = null, cause } = {}) {
+    super(message)
+
+    this.name = this.constructor.name
+    this.statusCode = statusCode
+    this.apiErrorCodes = apiErrorCodes
+    this.methodName = methodName
+    this.params = params
+
+    if (cause) this.cause = cause
+  }
+}
+
+/**
+ * Thrown when a parameter is missing or invalid, before any request is sent
+ */
+export class ValidationError extends TrippeError {}
+
+/**
+ * Thrown when the API responds with an error that has no more specific class
+ */
+export class ApiError extends TrippeError {}
+
+/**
+ * Thrown when the API doesn't recognise a hotelCode
+ */
+export class InvalidHotelCodeError extends ApiError {}
+
+/**
+ * Thrown when there's no availability for a stay
+ */
+export class NoAvailabilityError extends ApiError {}
+
+/**
+ * Thrown when the API rejects the apiKey
+ */
+export class AuthenticationError extends ApiError {}
+
+/**
+ * Thrown when the API keeps asking to slow down, after all retries
+ */
+export class RateLimitError extends ApiError {}
+
+/**
+ * Thrown when the API keeps reporting a server error, after all retries
+ */
+export class ApiServerError extends ApiError {}
+
+/**
+ * Thrown when a call is cancelled with an AbortSignal
+ */
+export class AbortError extends TrippeError {
+  code = 'ABORT_ERR'
+
+  constructor (message = 'The request was aborted', details) {
+    super(message, details)
+  }
+}
 
-    return `https://www.ihg.com/hotels/us/en/find-hotels/select-roomrate?fromRedirect=true&qSrt=sBR&qSlH=${hotelCode}&qRms=1&qAdlt=${adults}&qChld=${children}&qCiD=${checkinDay}&qCiMy=${checkinMonthYear}&qCoD=${checkoutDay}&qCoMy=${checkoutMonthYear}`
+/**
+ * Thrown when a request takes longer than its timeout
+ */
+export class TimeoutError extends TrippeError {
+  code = 'ETIMEDOUT'
+}
+
+/**
+ * Ranks the reward offers for one product of a stay by the value they get out of each point, comparing them to the
+ * lowest cash rate for that product
+ * The cash part of points and cash offers is always in US Dollars, while cash rates are in the hotel's currency, so
+ * exchange rates are needed unless the hotel's currency is USD
+ *
+ * @param {Object} stayPrices The result of getStayPrices
+ * @param {redemptionOptions} options An object containing productCode, exchangeRates and currencyCode keys
+ * @returns {redemptionAnalysis}
+ */
+
+/**
+ * @typedef {Object} redemptionOptions
+ * @property {string} productCode The product (room type) to analyse
+ * @property {Object} exchangeRates The value of 1 USD in other currencies, by ISO 4217 currency code, e.g. { EUR: 0.92 }
+ * @property {string} currencyCode The currency values are expressed in, defaults to USD
+ */
+
+/**
+ * @typedef {Object} redemptionAnalysis
+ * @property {string} productCode The product (room type) that was analysed
+ * @property {string} currencyCode The currency values are expressed in
+ * @property {Object|null} cashRate The lowest cash rate, with rateCode, cashPrice (in the hotel's currency), hotelCurrencyCode and convertedCashPrice keys, null if there's none
+ * @property {redemption[]} redemptions The reward offers, from best to worst value
+ */
+
+/**
+ * @typedef {Object} redemption
+ * @property {number} rank The position of the offer when sorted by value, starting at 1
+ * @property {string} rateCode The rate code of the reward offer
+ * @property {number} points The number of points per night
+ * @property {number} copay The cash to pay per night on top of the points, in USD
+ * @property {number|null} cashSaved The cash rate minus the copay, in currencyCode, null without a cash rate
+ * @property {number|null} centsPerPoint The value of a single point in cents of currencyCode, null without a cash rate
+ */
+export function analyzeRedemptions (stayPrices, { productCode, exchangeRates = {}, currencyCode = 'USD' } = {}) {
+  // Check if stayPrices and productCode were provided
+  if (!stayPrices || !Array.isArray(stayPrices.prices)) {
+    throw new ValidationError('stayPrices should be the result of getStayPrices')
+  }
+
+  if (!productCode) {
+    throw new ValidationError('productCode is required')
+  }
+
+  const hotelCurrencyCode = stayPrices.currency
+  const offers = stayPrices.prices.filter(price => price.productCode === productCode)
+
+  const cashOffer = offers
+    .filter(offer => offer.cashPrice !== null)
+    .reduce((lowest, offer) => lowest === null || offer.cashPrice < lowest.cashPrice ? offer : lowest, null)
+
+  const cashRate = cashOffer
+    ? {
+        rateCode: cashOffer.rateCode,
+        cashPrice: cashOffer.cashPrice,
+        hotelCurrencyCode,
+        convertedCashPrice: convertAmount(cashOffer.cashPrice, hotelCurrencyCode, currencyCode, { ...exchangeRates, USD: 1 })
+      }
+    : null
+
+  // Offers without a value go last
+  const getValue = (redemption) => redemption.centsPerPoint === null ? -Infinity : redemption.centsPerPoint
+
+  const redemptions = offers
+    .filter(offer => offer.points !== null)
+    .flatMap(offer => offer.points.map(option => {
+      const copay = option.cashPrice
+      const cashSaved = cashRate ? cashRate.convertedCashPrice - convertAmount(copay, 'USD', currencyCode, { ...exchangeRates, USD: 1 }) : null
+
+      return {
+        rateCode: offer.rateCode,
+        points: option.points,
+        copay,
+        cashSaved,
+        centsPerPoint: cashRate && option.points > 0 ? Math.round(cashSaved / option.points * 10000) / 100 : null
+      }
+    }))
+    .sort((a, b) => getValue(b) - getValue(a) || a.points - b.points)
+    .map((redemption, i) => ({ rank: i + 1, ...redemption }))
+
+  return {
+    productCode,
+    currencyCode,
+    cashRate,
+    redemptions
   }
 }
+
+/**
+ * Converts the result of getLowestHotelPrices or getLowestMultiHotelPrices to CSV, with one line per check-in date and length of stay
+ *
+ * @param {lowestHotelPrices|lowestHotelPrices[]} calendars The price calendar of one hotel, or of several hotels
+ * @returns {string}
+ */
+export function calendarToCsv (calendars) {
+  const columns = ['hotelCode', 'checkinDate', 'lengthOfStay', 'currencyCode', 'cashPrice', 'cashRateCode', 'points', 'pointsRateCode', 'isRestricted']
+  const list = [].concat(calendars).filter(calendar => calendar.isValid !== false)
+
+  const rows = list.flatMap(({ hotelCode, currencyCode, prices, conversion }) => {
+    return prices.map(price => ({ hotelCode, currencyCode, ...price, targetCurrencyCode: conversion ? conversion.currencyCode : null }))
+  })
+
+  return formatCsv(rows, columns)
+}
+
+/**
+ * Converts the result of getLowestAreaPrices to CSV, with one line per hotel
+ *
+ * @param {Array} hotels The lowest prices per hotel
+ * @returns {string}
+ */
+export function areaPricesToCsv (hotels) {
+  const columns = ['hotelCode', 'currencyCode', 'cashPrice', 'cashRateCode', 'points', 'pointsRateCode']
+
+  const rows = hotels.map(hotel => ({ ...hotel, targetCurrencyCode: hotel.conversion ? hotel.conversion.currencyCode : null }))
+
+  return formatCsv(rows, columns)
+}
+
+/**
+ * Converts the result of getLowestHotelPrices or getLowestMultiHotelPrices to an iCalendar file
+ * with an all-day event for every stay that can be booked with points
+ *
+ * @param {lowestHotelPrices|lowestHotelPrices[]} calendars The price calendar of one hotel, or of several hotels
+ * @param {object} options An object containing name (the name of the calendar), adults, children and locale (used in the booking links) keys (all optional)
+ * @returns {string}
+ */
+export function calendarToIcs (calendars, { name = 'Reward nights', adults = 1, children = 0, locale } = {}) {
+  const list = [].concat(calendars).filter(calendar => calendar.isValid !== false)
+  const timestamp = dayjs().toISOString().replace(/[-:]|\.\d+/g, '')
+
+  const events = list.flatMap(({ hotelCode, currencyCode, prices }) => {
+    return prices
+      .filter(price => price.points !== null)
+      .flatMap(({ checkinDate, lengthOfStay, cashPrice, points }) => {
+        const checkoutDate = dayjs(checkinDate).add(lengthOfStay, 'day').format('YYYY-MM-DD')
+        const url = createBookingPageUrl(hotelCode, { checkinDate, checkoutDate, adults, children, rewardNights: true, locale })
+        const nights = lengthOfStay === 1 ? '1 night' : `${lengthOfStay} nights`
+
+        const description = [
+          `${nights} for ${points} points`,
+          `Lowest cash price: ${cashPrice === null ? 'not available' : `${cashPrice} ${currencyCode}`}`,
+          `Book: ${url}`
+        ].join('\n')
+
+        return [
+          'BEGIN:VEVENT',
+          `UID:${hotelCode}-${checkinDate}-${lengthOfStay}@trippe`,
+          `DTSTAMP:${timestamp}`,
+          `DTSTART;VALUE=DATE:${checkinDate.replace(/-/g, '')}`,
+          `DTEND;VALUE=DATE:${checkoutDate.replace(/-/g, '')}`,
+          `SUMMARY:${escapeIcsText(`${hotelCode}: ${nights} for ${points} points`)}`,
+          `DESCRIPTION:${escapeIcsText(description)}`,
+          `URL:${url}`,
+          'TRANSP:TRANSPARENT',
+          'END:VEVENT'
+        ]
+      })
+  })
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//trippe//Reward nights//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldIcsLine).join('\r\n') + '\r\n'
+}
+
+/**
+ * @typedef {Object} bookingPageOptions
+ * @property {string} checkinDate The check-in date, defaults to today
+ * @property {string} checkoutDate The check-out date, defaults to the day after checkinDate
+ * @property {number} adults The number of adults per room, defaults to 1
+ * @property {number} children The number of children per room, defaults to 0
+ * @property {number} numberOfRooms The number of rooms, defaults to 1
+ * @property {string|null} rateCode The rate to preselect
+ * @property {boolean} rewardNights Whether to search for reward nights, can't be combined with rateCode
+ * @property {string|null} corporateId The corporate id to get negotiated rates with
+ * @property {boolean} pointsMode Whether to show prices in points
+ * @property {string} locale The market and language of the booking page
+ */
+
+/**
+ * Turns the url of a booking page on ihg.com back into the hotelCode and the options to build it with, e.g. to reprice
+ * a link with getStayPrices
+ *
+ * @param {string} url The url of a select-roomrate page
+ * @returns {Object} An object containing hotelCode, the bookingPageOptions keys and the rooms and rateCodes to pass to getStayPrices
+ */
+export function parseBookingPageUrl (url) {
+  let parsedUrl
+
+  try {
+    parsedUrl = new URL(url)
+  } catch (error) {
+    throw new ValidationError('url should be the URL of a booking page on ihg.com')
+  }
+
+  const pathMatch = parsedUrl.pathname.match(/^\/hotels\/([a-z]{2})\/([a-z]{2})\/find-hotels\/select-roomrate\/?$/i)
+  const isIhgHost = parsedUrl.hostname === 'ihg.com' || parsedUrl.hostname.endsWith('.ihg.com')
+
+  if (!isIhgHost || !pathMatch) {
+    throw new ValidationError('url should be the URL of a booking page on ihg.com')
+  }
+
+  const params = parsedUrl.searchParams
+  const hotelCode = params.get('qSlH')
+  const checkinDate = fromBookingPageDate(params.get('qCiD'), params.get('qCiMy'))
+  const checkoutDate = fromBookingPageDate(params.get('qCoD'), params.get('qCoMy'))
+
+  if (!hotelCode || !checkinDate || !checkoutDate) {
+    throw new ValidationError('url should contain a hotel and valid check-in and check-out dates')
+  }
+
+  // Counts are checked with the rules of getBookingPageUrl, anything but digits is invalid
+  const getCount = (key, defaultValue) => params.has(key) ? (/^\d+$/.test(params.get(key)) ? +params.get(key) : NaN) : defaultValue
+
+  const adults = getCount('qAdlt', 1)
+  const children = getCount('qChld', 0)
+  const numberOfRooms = getCount('qRms', 1)
+
+  checkGuests(adults, children)
+  checkNumberOfRooms(numberOfRooms)
+
+  const rateCode = params.get('qRtP') || null
+  const rewardNights = params.get('qRpn') === '1'
+
+  return {
+    hotelCode: hotelCode.toUpperCase(),
+    checkinDate,
+    checkoutDate,
+    adults,
+    children,
+    numberOfRooms,
+    rateCode,
+    rewardNights,
+    // The rooms and rateCodes getStayPrices needs to price the same stay
+    rooms: Array.from({ length: numberOfRooms }, () => ({ adults, children })),
+    rateCodes: rateCode && !rewardNights ? [rateCode] : 'reward',
+    corporateId: params.get('qCpid') || null,
+    pointsMode: params.get('qpMn') === '1',
+    locale: `${pathMatch[2].toLowerCase()}-${pathMatch[1].toUpperCase()}`
+  }
+}
+
+/**
+ * Adds a brand to the catalogue, or replaces the one with the same code
+ *
+ * @param {string} code The brand code, as returned by the API
+ * @param {object} brand An object containing name and tier (one of brandTiers) keys
+ * @returns {Object} The brand as added to the catalogue
+ */
+export function addBrand (code, { name, tier } = {}) {
+  if (typeof code !== 'string' || code === '' || typeof name !== 'string' || name === '') {
+    throw new ValidationError('code and name are required')
+  }
+
+  if (!brandTiers.includes(tier)) {
+    throw new ValidationError(`Invalid value for tier (should be one of ${brandTiers.join(', ')})`)
+  }
+
+  brands[code.toUpperCase()] = { code: code.toUpperCase(), name, tier }
+
+  return brands[code.toUpperCase()]
+}
+
+/**
+ * An exchange rate provider serving a fixed table of rates, for offline use or when rates are managed elsewhere
+ */
+export class StaticRateProvider {
+  #table
+
+  /**
+   * @param {Object} rates The value of 1 unit of base in other currencies, by ISO 4217 currency code
+   * @param {Object} options An object containing base (defaults to USD) and date (the date the rates apply to) keys
+   */
+  constructor (rates, { base = 'USD', date = null } = {}) {
+    // Check if rates were provided
+    if (!rates || typeof rates !== 'object' || !Object.values(rates).every(rate => rate > 0)) {
+      throw new ValidationError('rates should be an object with a positive rate for each currency code')
+    }
+
+    this.#table = { base, date, rates: { ...rates } }
+  }
+
+  /**
+   * Gets the exchange rates
+   *
+   * @returns {Promise<exchangeRateTable>}
+   */
+  getRates () {
+    return Promise.resolve(this.#table)
+  }
+}
+
+/**
+ * A cache store keeping values in memory, for as long as the process runs
+ */
+export class MemoryStore {
+  #entries = new Map()
+
+  /**
+   * Gets the value stored under key
+   *
+   * @param {string} key The key
+   * @returns {Promise<*>} The value, undefined when missing or expired
+   */
+  get (key) {
+    const entry = this.#entries.get(key)
+
+    if (entry && entry.expires <= Date.now()) {
+      this.#entries.delete(key)
+      return Promise.resolve(undefined)
+    }
+
+    return Promise.resolve(entry ? entry.value : undefined)
+  }
+
+  /**
+   * Stores value under key
+   *
+   * @param {string} key The key
+   * @param {*} value The value
+   * @param {number} ttl The number of milliseconds to keep the value
+   * @returns {Promise}
+   */
+  set (key, value, ttl) {
+    this.#entries.set(key, { value, expires: Date.now() + ttl })
+    return Promise.resolve()
+  }
+}
+
+/**
+ * A cache store keeping values as JSON files in a directory, so they can be shared between processes
+ */
+export class FileStore {
+  #directory
+
+  /**
+   * @param {string} directory The directory to keep the files in, created when needed
+   */
+  constructor (directory) {
+    // Check if directory was provided
+    if (!directory) {
+      throw new ValidationError('directory is required')
+    }
+
+    this.#directory = directory
+  }
+
+  /**
+   * Gets the value stored under key
+   *
+   * @param {string} key The key
+   * @returns {Promise<*>} The value, undefined when missing or expired
+   */
+  get (key) {
+    const file = this.#getFile(key)
+
+    return readFile(file, 'utf8')
+      .then(contents => {
+        const { value, expires } = JSON.parse(contents)
+
+        if (expires <= Date.now()) {
+          return unlink(file).catch(() => {}).then(() => undefined)
+        }
+
+        return value
+      })
+      .catch((error) => {
+        if (error.code === 'ENOENT') return undefined
+        throw error
+      })
+  }
+
+  /**
+   * Stores value under key
+   *
+   * @param {string} key The key
+   * @param {*} value The value, which should survive JSON serialisation
+   * @param {number} ttl The number of milliseconds to keep the value
+   * @returns {Promise}
+   */
+  set (key, value, ttl) {
+    return mkdir(this.#directory, { recursive: true })
+      .then(() => writeFile(this.#getFile(key), JSON.stringify({ value, expires: Date.now() + ttl })))
+  }
+
+  #getFile (key) {
+    return join(this.#directory, `${createHash('sha1').update(key).digest('hex')}.json`)
+  }
+}
+
+/**
+ * Polls the price calendars of a set of hotels on a schedule and emits an event for every change in reward availability or prices
+ */
+export class Watcher extends EventEmitter {
+  #trippe
+  #watches
+  #interval
+  #stateFile
+  #thresholds
+  #state = null
+  #running = false
+  #timer = null
+  #checking = null
+
+  /**
+   * @param {Trippe} trippe The client used to get the price calendars
+   * @param {watcherOptions} options An object containing watches, interval, stateFile and thresholds keys (only watches is required)
+   */
+  constructor (trippe, { watches, interval = 60 * 60 * 1000, stateFile, thresholds = {} } = {}) {
+    super()
+
+    // Check if a client and watches were provided
+    if (!(trippe instanceof Trippe)) {
+      throw new ValidationError('trippe should be an instance of Trippe')
+    }
+
+    if (!Array.isArray(watches) || watches.length === 0 || !watches.every(watch => Array.isArray(watch.hotelCodes) && watch.hotelCodes.length > 0)) {
+      throw new ValidationError('watches should be a non-empty array of objects with a non-empty array of hotelCodes')
+    }
+
+    if (typeof interval !== 'number' || !(interval > 0)) {
+      throw new ValidationError('interval should be a positive number of milliseconds')
+    }
+
+    const { maxPoints = Infinity, maxCashPrice = Infinity, minPointsDrop = 1, minCashDrop = 0.01 } = thresholds
+
+    if (![maxPoints, maxCashPrice, minPointsDrop, minCashDrop].every(value => typeof value === 'number' && value >= 0)) {
+      throw new ValidationError('thresholds should contain positive numbers only')
+    }
+
+    this.#trippe = trippe
+    this.#watches = watches
+    this.#interval = interval
+    this.#stateFile = stateFile
+    this.#thresholds = { maxPoints, maxCashPrice, minPointsDrop, minCashDrop }
+  }
+
+  /**
+   * @typedef {Object} watcherOptions
+   * @property {watch[]} watches The hotels and periods to watch
+   * @property {number} interval The number of milliseconds between the end of a check and the start of the next one, defaults to 1 hour
+   * @property {string} stateFile The JSON file to keep the last seen prices in, so changes are detected across restarts. Prices are only kept in memory when omitted
+   * @property {watcherThresholds} thresholds Which changes trigger an event
+   */
+
+  /**
+   * @typedef {Object} watch
+   * @property {string[]} hotelCodes The hotels to watch
+   * @property {string} startDate The first check-in date to watch
+   * @property {string} endDate The last check-in date to watch
+   * @property {number|number[]} lengthOfStay The number of nights in the stay, or a range of nights
+   * @property {string|string[]} rateCodes The rate codes to search for
+   */
+
+  /**
+   * @typedef {Object} watcherThresholds
+   * @property {number} maxPoints Reward nights above this number of points are considered unavailable, defaults to Infinity
+   * @property {number} maxCashPrice Cash drops are only reported when the new price is at or below this price, defaults to Infinity
+   * @property {number} minPointsDrop The minimum drop in points to report, defaults to 1
+   * @property {number} minCashDrop The minimum drop in cash price to report, defaults to 0.01
+   */
+
+  /**
+   * @typedef {Object} watcherEvent
+   * @property {string} type One of rewardAvailable, rewardGone, pointsDrop or cashDrop
+   * @property {string} hotelCode The hotelCode
+   * @property {string} checkinDate The check-in date
+   * @property {number} lengthOfStay The number of nights in the stay
+   * @property {string} currencyCode The currency of cash prices
+   * @property {number|null} before The points (for reward events) or cash price (for cashDrop) seen at the previous check
+   * @property {number|null} after The points or cash price seen now
+   */
+
+  /**
+   * Checks now and then every interval, until stop is called. Errors are emitted as error events
+   *
+   * @returns {Watcher}
+   */
+  start () {
+    if (this.#running) return this
+
+    this.#running = true
+    this.#poll()
+
+    return this
+  }
+
+  /**
+   * Stops checking, a check that is running is allowed to finish
+   *
+   * @returns {Watcher}
+   */
+  stop () {
+    this.#running = false
+    clearTimeout(this.#timer)
+    this.#timer = null
+
+    return this
+  }
+
+  /**
+   * Gets the price calendars of all watches once, emits an event for every change and saves the prices seen
+   *
+   * @returns {Promise<Object>} An object with checkedAt, events and errors (the watches that could not be checked) keys
+   */
+  check () {
+    // Never run two checks side by side, they would compare against the same state
+    if (this.#checking) return this.#checking
+
+    this.#checking = this.#loadState()
+      .then(state => Promise.all(this.#watches.map(({ hotelCodes, startDate, endDate, lengthOfStay, rateCodes }) => {
+        return this.#trippe.getLowestMultiHotelPrices(hotelCodes, { startDate, endDate, lengthOfStay, rateCodes })
+          .then(hotels => ({ hotels }), error => ({ error }))
+      }))
+        .then(results => {
+          const checkedAt = new Date().toISOString()
+          const today = dayjs().format('YYYY-MM-DD')
+          const prices = Object.fromEntries(Object.entries(state.prices).filter(([key, price]) => price.checkinDate >= today))
+          const events = []
+
+          results
+            .filter(result => 'hotels' in result)
+            .flatMap(result => result.hotels.filter(hotel => hotel.isValid))
+            .forEach(({ hotelCode, currencyCode, prices: calendar }) => {
+              calendar.forEach(({ checkinDate, lengthOfStay, points, cashPrice }) => {
+                const key = `${hotelCode}:${checkinDate}:${lengthOfStay}`
+                const previous = prices[key] || { points: null, cashPrice: null }
+                const createEvent = (type, before, after) => ({ type, hotelCode, checkinDate, lengthOfStay, currencyCode, before, after })
+
+                events.push(...getWatcherEvents(previous, { points, cashPrice }, this.#thresholds, createEvent))
+                prices[key] = { checkinDate, points, cashPrice }
+              })
+            })
+
+          this.#state = { checkedAt, prices }
+
+          return this.#saveState()
+            .then(() => {
+              const errors = results.filter(result => 'error' in result).map(result => result.error)
+
+              events.forEach(event => this.emit(event.type, event))
+              this.emit('check', { checkedAt, events, errors })
+
+              return { checkedAt, events, errors }
+            })
+        }))
+      .finally(() => {
+        this.#checking = null
+      })
+
+    return this.#checking
+  }
+
+  #poll () {
+    this.check()
+      .catch(error => this.emit('error', error))
+      .finally(() => {
+        if (this.#running) this.#timer = setTimeout(() => this.#poll(), this.#interval)
+      })
+  }
+
+  #loadState () {
+    if (this.#state) return Promise.resolve(this.#state)
+
+    const emptyState = { checkedAt: null, prices: {} }
+
+    if (!this.#stateFile) return Promise.resolve(emptyState)
+
+    return readFile(this.#stateFile, 'utf8')
+      .then(contents => JSON.parse(contents))
+      .catch((error) => {
+        if (error.code === 'ENOENT') return emptyState
+        throw error
+      })
+  }
+
+  #saveState () {
+    if (!this.#stateFile) return Promise.resolve()
+
+    return mkdir(dirname(this.#stateFile), { recursive: true })
+      .then(() => writeFile(this.#stateFile, JSON.stringify(this.#state)))
+  }
+}
+
+/**
+ * The default transport, performing requests with got
+ *
+ * @param {transportRequest} request The request to perform
+ * @returns {Promise<transportResponse>}
+ */
+function gotTransport ({ method, url, headers, json, signal }) {
+  // Retries are handled by the client, so they work the same for every transport. Got does not accept
+  // an undefined signal, so it is only passed when there is one
+  return got(url, { method, headers, json, ...(signal && { signal }), retry: { limit: 0 }, throwHttpErrors: false })
+    .then(({ statusCode, headers, body }) => ({ statusCode, headers, body }))
+}
+
+/**
+ * Wraps a transport so every response is saved to directory before it is returned
+ *
+ * @param {transport} transport The transport performing the actual requests
+ * @param {string} directory The directory to save responses in
+ * @returns {transport}
+ */
+function recordTransport (transport, directory) {
+  return (request) => transport(request)
+    .then(response => {
+      const { method, url, json } = request
+      const fixture = {
+        request: { method, url, json },
+        response: { statusCode: response.statusCode, headers: response.headers, body: response.body }
+      }
+
+      return mkdir(directory, { recursive: true })
+        .then(() => writeFile(join(directory, getFixtureName(request)), JSON.stringify(fixture, null, 2)))
+        .then(() => response)
+    })
+}
+
+/**
+ * Creates a transport that serves responses saved by recordTransport and never calls the API
+ *
+ * @param {string} directory The directory responses were saved in
+ * @returns {transport}
+ */
+function replayTransport (directory) {
+  return (request) => readFile(join(directory, getFixtureName(request)), 'utf8')
+    .catch((error) => {
+      throw error.code === 'ENOENT' ? new TrippeError(`No fixture found for ${request.method} ${request.url}`) : error
+    })
+    .then(contents => JSON.parse(contents).response)
+}
+
+/**
+ * Gets the file name a response is saved under
+ *
+ * @param {transportRequest} request The request
+ * @returns {string}
+ */
+function getFixtureName (request) {
+  return `${request.method.toLowerCase()}-${getRequestKey(request)}.json`
+}
+
+/**
+ * Gets a key identifying a request, based on everything but the headers
+ *
+ * @param {transportRequest} request The request
+ * @returns {string}
+ */
+function getRequestKey ({ method, url, json }) {
+  return createHash('sha1')
+    .update(JSON.stringify([method, url, json === undefined ? null : json]))
+    .digest('hex')
+}
+
+/**
+ * @typedef {Object} dateWindow
+ * @property {string} startDate The first date of the window
+ * @property {string} endDate The last date of the window
+ * @property {number} days The number of days in the window
+ */
+
+/**
+ * Splits a period into consecutive windows of at most maxDays days
+ *
+ * @param {string} startDate The first date of the period
+ * @param {number} days The number of days in the period
+ * @param {number} maxDays The maximum number of days in a window
+ * @returns {dateWindow[]}
+ */
+function getDateWindows (startDate, days, maxDays) {
+  return [...new Array(Math.ceil(days / maxDays))].map((u, i) => {
+    const windowDays = Math.min(maxDays, days - i * maxDays)
+    const windowStart = dayjs(startDate).add(i * maxDays, 'day')
+
+    return {
+      startDate: windowStart.format('YYYY-MM-DD'),
+      endDate: windowStart.add(windowDays - 1, 'day').format('YYYY-MM-DD'),
+      days: windowDays
+    }
+  })
+}
+
+/**
+ * Merges the results of the requests for a single hotel into one calendar
+ * The failure key holds the error that prevents the calendar from being used at all, if any
+ *
+ * @param {string} hotelCode The systemwide id of the hotel
+ * @param {dateWindow[]} windows The periods that were requested
+ * @param {Array} results The result for each period, in the format used by Promise.allSettled
+ * @returns {Object}
+ */
+function mergePriceWindows (hotelCode, windows, results) {
+  const fulfilled = results.filter(result => result.status === 'fulfilled')
+  const isMissing = fulfilled.some(result => !result.value)
+  const currencyCodes = [...new Set(fulfilled.filter(result => result.value).map(result => result.value.currencyCode))]
+
+  const errors = results
+    .map((result, i) => ({ ...windows[i], result }))
+    .filter(({ result }) => result.status === 'rejected')
+    .map(({ startDate, endDate, lengthOfStay, result }) => ({ startDate, endDate, lengthOfStay, message: result.reason.message }))
+
+  const calendar = {
+    hotelCode,
+    isValid: true,
+    currencyCode: null,
+    prices: [],
+    errors: [],
+    failure: null
+  }
+
+  // Only give up when there's nothing left to show
+  if (fulfilled.length === 0) {
+    return { ...calendar, failure: results.find(result => result.status === 'rejected').reason }
+  } else if (isMissing || currencyCodes.includes('')) {
+    return { ...calendar, isValid: false, failure: new InvalidHotelCodeError('Unknown or invalid hotelCode') }
+  } else if (currencyCodes.length > 1) {
+    return { ...calendar, failure: new TrippeError(`Inconsistent currencyCode across periods (${currencyCodes.join(', ')})`) }
+  }
+
+  return {
+    ...calendar,
+    currencyCode: currencyCodes[0],
+    prices: fulfilled.flatMap(result => result.value.prices),
+    errors
+  }
+}
+
+/**
+ * Combines the calendars for each length of stay of a single hotel into one calendar, sorted by check in date
+ * Stays are marked as restricted when they can't be booked while each of their nights can be booked on its own
+ *
+ * @param {string} hotelCode The systemwide id of the hotel
+ * @param {Array} calendars The calendars for each length of stay, as returned by mergePriceWindows
+ * @param {Object|null} singleNightCalendar The calendar for single nights, null when all stays are single nights
+ * @returns {Object}
+ */
+function combineStayCalendars (hotelCode, calendars, singleNightCalendar) {
+  const invalid = calendars.find(calendar => !calendar.isValid)
+  const failed = calendars.find(calendar => calendar.failure)
+  const currencyCodes = [...new Set(calendars.map(calendar => calendar.currencyCode))]
+
+  if (invalid || failed) {
+    return invalid || failed
+  } else if (currencyCodes.length > 1) {
+    return { ...calendars[0], failure: new TrippeError(`Inconsistent currencyCode across periods (${currencyCodes.join(', ')})`) }
+  }
+
+  const singleNights = new Map((singleNightCalendar && !singleNightCalendar.failure ? singleNightCalendar.prices : [])
+    .map(price => [price.checkinDate, price]))
+
+  const prices = calendars
+    .flatMap(calendar => calendar.prices)
+    .map(price => {
+      const isUnavailable = price.cashPrice === null && price.points === null
+      const nights = [...new Array(price.lengthOfStay)].map((u, i) => singleNights.get(dayjs(price.checkinDate).add(i, 'day').format('YYYY-MM-DD')))
+
+      return {
+        ...price,
+        isRestricted: price.lengthOfStay > 1 && isUnavailable && nights.every(night => night && (night.cashPrice !== null || night.points !== null))
+      }
+    })
+    .sort((a, b) => a.checkinDate === b.checkinDate ? a.lengthOfStay - b.lengthOfStay : a.checkinDate < b.checkinDate ? -1 : 1)
+
+  return {
+    ...calendars[0],
+    prices,
+    errors: calendars.flatMap(calendar => calendar.errors)
+  }
+}
+
+/**
+ * Turns the lengthOfStay option into a list of lengths of stay
+ *
+ * @param {number|number[]} lengthOfStay A number of nights or a range of nights expressed as [minimum, maximum]
+ * @returns {number[]}
+ */
+function getLengthsOfStay (lengthOfStay) {
+  const [minimum, maximum] = Array.isArray(lengthOfStay) ? lengthOfStay : [lengthOfStay, lengthOfStay]
+
+  const isValidRange = [minimum, maximum].every(d => Number.isInteger(d) && d >= 1 && d <= MAX_LENGTH_OF_STAY) &&
+    minimum <= maximum &&
+    (!Array.isArray(lengthOfStay) || lengthOfStay.length === 2)
+
+  if (!isValidRange) {
+    throw new ValidationError(`Invalid value for lengthOfStay (should be a number of nights between 1 and ${MAX_LENGTH_OF_STAY} or a range such as [2, 7])`)
+  }
+
+  return [...new Array(maximum - minimum + 1)].map((u, i) => minimum + i)
+}
+
+/**
+ * Turns the rateCodes option into a list of rate codes
+ *
+ * @param {string|string[]} rateCodes A list of rate codes or the name of one of the ratePresets
+ * @returns {string[]}
+ */
+function getRateCodes (rateCodes) {
+  if (typeof rateCodes === 'string' && rateCodes in ratePresets) {
+    return ratePresets[rateCodes]
+  }
+
+  const isValidList = Array.isArray(rateCodes) &&
+    rateCodes.length > 0 &&
+    rateCodes.every(d => typeof d === 'string' && /^[A-Z0-9]+$/i.test(d))
+
+  if (!isValidList) {
+    throw new ValidationError(`Invalid value for rateCodes (should be a list of rate codes or one of ${Object.keys(ratePresets).join(', ')})`)
+  }
+
+  return rateCodes.map(rateCode => rateCode.toUpperCase())
+}
+
+/**
+ * Gets the optional parts of the hotel details that were asked for. Data missing from the response is null
+ *
+ * @param {Object} hotelInfo The hotel info, as returned by the API
+ * @param {string[]} include The optional parts to get: amenities, policies, contact and/or media
+ * @returns {Object}
+ */
+function getHotelExtras ({ facilities, policies, contact, media }, include) {
+  const extras = {}
+
+  if (include.includes('amenities')) {
+    const names = Array.isArray(facilities) ? facilities.map(facility => facility.name).filter(name => name) : null
+
+    // Facility codes differ between brands, their names are consistent enough to look for
+    const hasFacility = pattern => names ? names.some(name => pattern.test(name)) : null
+
+    extras.amenities = names && {
+      pool: hasFacility(/pool/i),
+      fitnessCenter: hasFacility(/fitness|gym/i),
+      parking: hasFacility(/parking/i),
+      evCharging: hasFacility(/electric vehicle|\bev\b/i),
+      all: names
+    }
+  }
+
+  if (include.includes('policies')) {
+    const getPolicy = (policy, allowedKey) => policy
+      ? { allowed: typeof policy[allowedKey] === 'boolean' ? policy[allowedKey] : null, description: policy.description || null }
+      : null
+
+    extras.checkInTime = policies && policies.checkinTime ? policies.checkinTime.slice(0, 5) : null
+    extras.checkOutTime = policies && policies.checkoutTime ? policies.checkoutTime.slice(0, 5) : null
+    extras.petPolicy = policies ? getPolicy(policies.petPolicy, 'petsAllowed') : null
+    extras.parkingPolicy = policies ? getPolicy(policies.parkingPolicy, 'parkingAvailable') : null
+  }
+
+  if (include.includes('contact')) {
+    extras.phone = contact && contact.phoneNumber ? contact.phoneNumber : null
+    extras.email = contact && contact.emailAddress ? contact.emailAddress : null
+  }
+
+  if (include.includes('media')) {
+    extras.images = media && Array.isArray(media.images)
+      ? media.images.map(image => image.url).filter(url => url).map(url => url.startsWith('//') ? `https:${url}` : url)
+      : null
+  }
+
+  return extras
+}
+
+/**
+ * Checks the rooms option of getStayPrices and fills in default values
+ *
+ * @param {room[]} rooms The guests in every room
+ * @returns {room[]}
+ */
+function getRooms (rooms) {
+  const isCount = (value, minimum) => Number.isInteger(value) && value >= minimum
+
+  const isValid = Array.isArray(rooms) && rooms.length > 0 && rooms.length <= MAX_ROOMS &&
+    rooms.every(room => room && isCount(room.adults ?? 1, 1) && isCount(room.children ?? 0, 0))
+
+  if (!isValid) {
+    throw new ValidationError(`Invalid value for rooms (should be an array of 1 to ${MAX_ROOMS} objects with a number of adults of at least 1 and a number of children)`)
+  }
+
+  return rooms.map(({ adults = 1, children = 0 }) => ({ adults, children }))
+}
+
+/**
+ * Gets the cancellation, deposit and meal policies of an offer. Policies missing from the offer are null
+ *
+ * @param {Object} offer The offer, as returned by the API
+ * @returns {Object} An object containing refundable, cancelBy, depositRequired and mealsIncluded keys
+ */
+function getOfferPolicies ({ policies }) {
+  if (!policies) {
+    return { refundable: null, cancelBy: null, depositRequired: null, mealsIncluded: null }
+  }
+
+  const { cancellationNoShow, guarantee, deposit, mealPlan } = policies
+  const cancelBy = cancellationNoShow && cancellationNoShow.deadline ? cancellationNoShow.deadline : null
+
+  // Deadlines mean free cancellation up to then, rates without one are only refundable when flagged as such
+  const refundable = cancellationNoShow
+    ? cancellationNoShow.refundable ?? cancelBy !== null
+    : null
+
+  const depositRequired = deposit
+    ? deposit.required !== false
+    : guarantee ? guarantee.type === 'DEPOSIT' : null
+
+  return {
+    refundable,
+    cancelBy,
+    depositRequired,
+    mealsIncluded: mealPlan ? Boolean(mealPlan.mealsIncluded ?? mealPlan.breakfastIncluded) : null
+  }
+}
+
+// The ISO 8601 formats accepted for cancelAfter, which is compared as text with the cancelBy of prices
+const CANCEL_AFTER_FORMATS = ['YYYY-MM-DD', 'YYYY-MM-DDTHH:mm', 'YYYY-MM-DDTHH:mm:ss']
+
+/**
+ * Checks the filter option of getStayPrices and turns it into a function to filter prices with
+ *
+ * @param {stayFilter} filter The policies prices should have
+ * @returns {Function}
+ */
+function getStayFilter (filter) {
+  const booleanKeys = ['refundable', 'depositRequired', 'mealsIncluded']
+  const { cancelAfter, ...flags } = filter || {}
+
+  const isValid = filter !== null && typeof filter === 'object' &&
+    Object.entries(flags).every(([key, value]) => booleanKeys.includes(key) && typeof value === 'boolean') &&
+    (cancelAfter === undefined || (typeof cancelAfter === 'string' && dayjs(cancelAfter, CANCEL_AFTER_FORMATS, true).isValid()))
+
+  if (!isValid) {
+    throw new ValidationError('Invalid value for filter (should be an object with refundable, depositRequired and mealsIncluded booleans and a cancelAfter date or datetime in ISO 8601 format)')
+  }
+
+  // Comparing as text works for ISO 8601 dates and datetimes in the same timezone, a date is treated as the start of that day
+  return (price) => {
+    const matchesFlags = Object.entries(flags).every(([key, value]) => price[key] === value)
+    const matchesCancelAfter = cancelAfter === undefined || (price.cancelBy !== null && price.cancelBy >= cancelAfter)
+
+    return matchesFlags && matchesCancelAfter
+  }
+}
+
+/**
+ * Adds up the bonus points members earn with a price. Bonus rates without an inventoryTypeCode apply to every product
+ *
+ * @param {Array} bonusRates The bonus rates, as returned by the API
+ * @param {Object} price The price
+ * @returns {number}
+ */
+function getBonusPoints (bonusRates, { productCode, rateCode }) {
+  return bonusRates
+    .filter(bonusRate => bonusRate.ratePlanCode === rateCode && (!bonusRate.inventoryTypeCode || bonusRate.inventoryTypeCode === productCode))
+    .reduce((sum, bonusRate) => sum + (parseInt(bonusRate.bonusPoints) || 0), 0)
+}
+
+/**
+ * Gets the upgrades offered on top of a price. When the API doesn't give the price difference,
+ * it is worked out from the price of the upgraded room at the same rate
+ *
+ * @param {Array} upsells The upsells, as returned by the API
+ * @param {Object} price The price
+ * @param {Array} prices All prices of the stay
+ * @returns {upsell[]}
+ */
+function getUpsells (upsells, { productCode, rateCode, cashPrice }, prices) {
+  return upsells
+    .filter(upsell => upsell.ratePlanCode === rateCode && upsell.inventoryTypeCode === productCode)
+    .map(upsell => {
+      const target = prices.find(price => price.productCode === upsell.upsellInventoryTypeCode && price.rateCode === rateCode)
+      const amount = upsell.upsellAmount ? parseFloat(upsell.upsellAmount.amountAfterTax) : NaN
+
+      let priceDifference = null
+      if (!isNaN(amount)) {
+        priceDifference = amount
+      } else if (target && target.cashPrice !== null && cashPrice !== null) {
+        priceDifference = roundAmount(target.cashPrice - cashPrice)
+      }
+
+      return { productCode: upsell.upsellInventoryTypeCode, rateCode, priceDifference }
+    })
+}
+
+/**
+ * Finds the cheapest plan for a trip, keeping for every hotel and night only the partial plans
+ * that aren't both more expensive and using more points than another one
+ *
+ * @param {Array} calendars The price calendars of the hotels, covering every night of the trip
+ * @param {object} options An object containing checkinDate, numberOfNights, pointsBudget, pointValue and switchPenalty keys
+ * @returns {Object|null} An object containing totalCost, totalCashPrice, totalPoints, numberOfSwitches and nights keys, null when no plan covers every night
+ */
+function findCheapestPlan (calendars, { checkinDate, numberOfNights, pointsBudget, pointValue, switchPenalty }) {
+  const dates = Array.from({ length: numberOfNights }, (value, index) => dayjs(checkinDate).add(index, 'day').format('YYYY-MM-DD'))
+
+  // Keeps the partial plans that are cheaper than every plan using fewer or as many points
+  const prune = (plans) => plans
+    .sort((a, b) => a.points - b.points || a.cost - b.cost)
+    .filter((plan, i, sorted) => sorted.slice(0, i).every(other => other.cost > plan.cost))
+
+  let previous = calendars.map(() => [])
+
+  dates.forEach((date, night) => {
+    previous = calendars.map(({ hotelCode, currencyCode, prices }, h) => {
+      const price = prices.find(price => price.checkinDate === date && price.lengthOfStay === 1)
+      if (!price) return []
+
+      const cash = 'convertedCashPrice' in price ? price.convertedCashPrice : price.cashPrice
+      const options = [
+        ...(cash !== null ? [{ payWith: 'cash', cost: cash, points: 0 }] : []),
+        ...(price.points !== null ? [{ payWith: 'points', cost: price.points * pointValue, points: price.points }] : [])
+      ]
+
+      const starts = night === 0
+        ? [{ cost: 0, points: 0, switches: 0, night: null }]
+        : previous.flatMap((plans, p) => plans.map(plan => ({
+          ...plan,
+          cost: plan.cost + (p === h ? 0 : switchPenalty),
+          switches: plan.switches + (p === h ? 0 : 1)
+        })))
+
+      const plans = starts.flatMap(start => options
+        .filter(option => start.points + option.points <= pointsBudget)
+        .map(option => ({
+          cost: start.cost + option.cost,
+          points: start.points + option.points,
+          switches: start.switches,
+          night: {
+            date,
+            hotelCode,
+            payWith: option.payWith,
+            currencyCode,
+            cashPrice: option.payWith === 'cash' ? price.cashPrice : null,
+            // The plan is costed in the converted currency, so its totals add up converted prices
+            ...('convertedCashPrice' in price && { convertedCashPrice: option.payWith === 'cash' ? cash : null }),
+            points: option.payWith === 'points' ? price.points : null,
+            previous: start.night
+          }
+        })))
+
+      return prune(plans)
+    })
+  })
+
+  const best = previous.flat().reduce((best, plan) => best === null || plan.cost < best.cost ? plan : best, null)
+
+  if (!best) return null
+
+  const nights = []
+  for (let night = best.night; night; night = night.previous) {
+    const { previous, ...planNight } = night
+    nights.unshift(planNight)
+  }
+
+  return {
+    totalCost: roundAmount(best.cost),
+    totalCashPrice: roundAmount(nights.reduce((sum, night) => sum + (('convertedCashPrice' in night ? night.convertedCashPrice : night.cashPrice) || 0), 0)),
+    totalPoints: best.points,
+    numberOfSwitches: best.switches,
+    nights
+  }
+}
+
+/**
+ * Groups the nights of a plan into bookings, one for every run of nights at the same hotel paid the same way
+ *
+ * @param {planNight[]} nights The nights of the plan
+ * @returns {Array} Objects containing hotelCode, payWith, checkinDate and checkoutDate keys
+ */
+function getPlanSegments (nights) {
+  return nights.reduce((segments, night) => {
+    const last = segments[segments.length - 1]
+    const checkoutDate = dayjs(night.date).add(1, 'day').format('YYYY-MM-DD')
+
+    if (last && last.hotelCode === night.hotelCode && last.payWith === night.payWith) {
+      last.checkoutDate = checkoutDate
+      return segments
+    }
+
+    return [...segments, { hotelCode: night.hotelCode, payWith: night.payWith, checkinDate: night.date, checkoutDate }]
+  }, [])
+}
+
+/**
+ * Turns the area searches for every date into a matrix of prices per hotel and date, with the lowest prices per hotel and per night
+ *
+ * @param {string[]} dates The check-in dates
+ * @param {Object[]} results The result of the area search for every date, in allSettled format
+ * @returns {areaPriceMatrix}
+ */
+function createAreaPriceMatrix (dates, results) {
+  // Cash prices of different hotels can only be compared in the same currency
+  const getCash = hotel => 'convertedCashPrice' in hotel ? hotel.convertedCashPrice : hotel.cashPrice
+  const getLowest = (items, getValue) => items
+    .filter(item => getValue(item) !== null)
+    .reduce((lowest, item) => lowest === null || getValue(item) < getValue(lowest) ? item : lowest, null)
+
+  const hotelCodes = [...new Set(results.flatMap(result => result.status === 'fulfilled' ? result.value.map(hotel => hotel.hotelCode) : []))]
+
+  const hotels = hotelCodes.map(hotelCode => {
+    const found = results.map(result => result.status === 'fulfilled' ? result.value.find(hotel => hotel.hotelCode === hotelCode) : undefined)
+    const first = found.find(hotel => hotel)
+
+    // Prices differ by night, the rest (such as details) is the same every night
+    const priceKeys = ['cashPrice', 'points', 'cashRateCode', 'pointsRateCode', 'convertedCashPrice', 'availabilityStatus'].filter(key => key in first)
+    const details = Object.fromEntries(Object.entries(first).filter(([key]) => !priceKeys.includes(key) && key !== 'conversion'))
+
+    const prices = dates.map((checkinDate, i) => ({
+      checkinDate,
+      ...Object.fromEntries(priceKeys.map(key => [key, found[i] ? found[i][key] : null]))
+    }))
+
+    const lowestCash = getLowest(prices, getCash)
+    const lowestPoints = getLowest(prices, price => price.points)
+
+    return {
+      ...details,
+      prices,
+      lowestCashPrice: lowestCash && { checkinDate: lowestCash.checkinDate, cashPrice: lowestCash.cashPrice },
+      lowestPoints: lowestPoints && { checkinDate: lowestPoints.checkinDate, points: lowestPoints.points }
+    }
+  })
+
+  const nights = dates.map((checkinDate, i) => {
+    const found = results[i].status === 'fulfilled' ? results[i].value : []
+
+    const lowestCash = getLowest(found, getCash)
+    const lowestPoints = getLowest(found, hotel => hotel.points)
+
+    return {
+      checkinDate,
+      numberOfHotels: found.length,
+      lowestCashPrice: lowestCash && { hotelCode: lowestCash.hotelCode, cashPrice: lowestCash.cashPrice, currencyCode: lowestCash.currencyCode },
+      lowestPoints: lowestPoints && { hotelCode: lowestPoints.hotelCode, points: lowestPoints.points }
+    }
+  })
+
+  const errors = dates
+    .map((checkinDate, i) => ({ checkinDate, result: results[i] }))
+    .filter(({ result }) => result.status === 'rejected')
+    .map(({ checkinDate, result }) => ({ checkinDate, message: result.reason.message }))
+
+  const converted = results.flatMap(result => result.status === 'fulfilled' ? result.value : []).find(hotel => hotel.conversion)
+
+  return { dates, hotels, nights, errors, ...(converted && { conversion: converted.conversion }) }
+}
+
+/**
+ * Looks up a brand in the catalogue, warning once for every brand code that is missing
+ *
+ * @param {string} brandCode The brand code
+ * @returns {Object|null}
+ */
+function getBrand (brandCode) {
+  if (brandCode in brands) return brands[brandCode]
+
+  if (!warnedBrandCodes.has(brandCode)) {
+    warnedBrandCodes.add(brandCode)
+    process.emitWarning(`Unknown brandCode ${brandCode}, brandName and brandTier will be null. Use addBrand to add it to the catalogue`, { type: 'TrippeWarning', code: 'TRIPPE_UNKNOWN_BRAND' })
+  }
+
+  return null
+}
+
+/**
+ * Checks that a value is either undefined or an array of strings
+ *
+ * @param {*} list The value
+ * @returns {boolean}
+ */
+function isBrandList (list) {
+  return list === undefined || (Array.isArray(list) && list.every(item => typeof item === 'string'))
+}
+
+/**
+ * Checks the filter option of the price calendars and turns it into a function to filter brand codes with
+ *
+ * @param {Object} filter An object containing brandCodes and brandTiers arrays (both optional)
+ * @returns {Function|null} The brand filter, null when filter doesn't filter by brand
+ */
+function getCalendarBrandFilter (filter) {
+  const { brandCodes, brandTiers, ...rest } = filter || {}
+
+  if (filter === null || typeof filter !== 'object' || Object.keys(rest).length > 0 || !isBrandList(brandCodes) || !isBrandList(brandTiers)) {
+    throw new ValidationError('Invalid value for filter (should be an object with brandCodes and brandTiers arrays)')
+  }
+
+  return getBrandFilter(brandCodes, brandTiers)
+}
+
+/**
+ * Creates a function telling whether a brand code is one of brandCodes or belongs to one of brandTiers
+ *
+ * @param {string[]|undefined} brandCodes The brand codes to keep
+ * @param {string[]|undefined} brandTiers The tiers to keep
+ * @returns {Function|null} null when neither brandCodes nor brandTiers were given
+ */
+function getBrandFilter (brandCodes, brandTiers) {
+  if (brandCodes === undefined && brandTiers === undefined) return null
+
+  const codes = brandCodes && brandCodes.map(code => code.toUpperCase())
+  const tiers = brandTiers && brandTiers.map(tier => tier.toLowerCase())
+
+  return (brandCode) => {
+    const brand = brandCode in brands ? brands[brandCode] : null
+
+    return (codes === undefined || codes.includes(brandCode)) &&
+      (tiers === undefined || (brand !== null && tiers.includes(brand.tier)))
+  }
+}
+
+/**
+ * Checks the filter option of getLowestAreaPrices and turns it into a function to filter hotels with
+ *
+ * @param {areaFilter} filter The hotels to keep
+ * @returns {Function}
+ */
+function getAreaFilter (filter) {
+  const { brandCodes, brandTiers, maxPoints, maxCashPrice, ...rest } = filter || {}
+  const isLimit = value => value === undefined || (typeof value === 'number' && value >= 0)
+
+  const isValid = filter !== null && typeof filter === 'object' && Object.keys(rest).length === 0 &&
+    isBrandList(brandCodes) && isBrandList(brandTiers) && isLimit(maxPoints) && isLimit(maxCashPrice)
+
+  if (!isValid) {
+    throw new ValidationError('Invalid value for filter (should be an object with brandCodes and brandTiers arrays and maxPoints and maxCashPrice numbers)')
+  }
+
+  const matchesBrand = getBrandFilter(brandCodes, brandTiers)
+
+  return (hotel) => {
+    const cashPrice = 'convertedCashPrice' in hotel ? hotel.convertedCashPrice : hotel.cashPrice
+
+    return (matchesBrand === null || matchesBrand(hotel.brandCode)) &&
+      (maxPoints === undefined || (hotel.points !== null && hotel.points <= maxPoints)) &&
+      (maxCashPrice === undefined || (cashPrice !== null && cashPrice <= maxCashPrice))
+  }
+}
+
+/**
+ * Sorts the hotels of an area search, hotels without a value for the key come last
+ *
+ * @param {Array} hotels The area prices
+ * @param {string|undefined} sortBy One of distance, points or cashPrice, undefined to keep the order of the API
+ * @returns {Array}
+ */
+function sortAreaPrices (hotels, sortBy) {
+  if (!sortBy) return hotels
+
+  // Cash prices can only be compared in the same currency
+  const key = sortBy === 'cashPrice' && hotels.some(hotel => 'convertedCashPrice' in hotel) ? 'convertedCashPrice' : sortBy
+
+  return [...hotels].sort((a, b) => {
+    if (a[key] === null || b[key] === null) return (a[key] === null) - (b[key] === null)
+    return a[key] - b[key]
+  })
+}
+
+/**
+ * Gets the straight line distance between two points
+ *
+ * @param {number[]} from The first point, as [longitude, latitude]
+ * @param {number[]} to The second point, as [longitude, latitude]
+ * @param {string} unit The unit of distance, mi or km
+ * @returns {number} The distance, rounded to 1 decimal
+ */
+function getDistance ([fromLongitude, fromLatitude], [toLongitude, toLatitude], unit) {
+  const radius = unit.toUpperCase() === 'KM' ? 6371 : 3959
+  const toRadians = degrees => degrees * Math.PI / 180
+
+  const a = Math.sin(toRadians(toLatitude - fromLatitude) / 2) ** 2 +
+    Math.cos(toRadians(fromLatitude)) * Math.cos(toRadians(toLatitude)) * Math.sin(toRadians(toLongitude - fromLongitude) / 2) ** 2
+
+  return Math.round(2 * radius * Math.asin(Math.sqrt(a)) * 10) / 10
+}
+
+/**
+ * Gets the average price per room of every night of a stay
+ *
+ * @param {Array} productUses The rooms of an offer, as returned by the API
+ * @param {string} checkinDate The check-in date
+ * @param {number} numberOfNights The number of nights in the stay
+ * @returns {stayNight[]|null} The nights, null when the API didn't return daily rates
+ */
+function getStayNights (productUses, checkinDate, numberOfNights) {
+  if (!productUses.every(use => Array.isArray(use.rates.dailyRates))) return null
+
+  const nights = Array.from({ length: numberOfNights }, (value, index) => ({
+    date: dayjs(checkinDate).add(index, 'day').format('YYYY-MM-DD'),
+    amountBeforeTax: 0,
+    amountAfterTax: 0
+  }))
+
+  productUses.forEach(use => {
+    // A daily rate may cover several nights at the same price, up to (but not including) its endDate
+    use.rates.dailyRates.forEach(({ startDate, endDate, amountBeforeTax, amountAfterTax }) => {
+      const start = startDate.substring(0, 10)
+      const end = endDate ? endDate.substring(0, 10) : dayjs(start).add(1, 'day').format('YYYY-MM-DD')
+
+      nights
+        .filter(night => night.date >= start && night.date < end)
+        .forEach(night => {
+          night.amountBeforeTax += parseFloat(amountBeforeTax)
+          night.amountAfterTax += parseFloat(amountAfterTax)
+        })
+    })
+  })
+
+  return nights.map(night => ({
+    date: night.date,
+    amountBeforeTax: isNaN(night.amountBeforeTax) ? null : roundAmount(night.amountBeforeTax / productUses.length),
+    amountAfterTax: isNaN(night.amountAfterTax) ? null : roundAmount(night.amountAfterTax / productUses.length)
+  }))
+}
+
+/**
+ * Rounds an amount of money to 2 decimals
+ *
+ * @param {number} amount The amount
+ * @returns {number}
+ */
+function roundAmount (amount) {
+  return Math.round(amount * 100) / 100
+}
+
+/**
+ * Finds the rate with the lowest value for key, ignoring rates that don't have that key
+ *
+ * @param {Array} rates The rates to search
+ * @param {string} key The key holding the value to compare
+ * @returns {Object|null}
+ */
+function getLowestRate (rates, key) {
+  return rates
+    .filter(rate => key in rate)
+    .reduce((lowest, rate) => lowest === null || rate[key] < lowest[key] ? rate : lowest, null)
+}
+
+/**
+ * Creates a function that runs tasks while respecting a maximum number of tasks running at the same time and a
+ * maximum number of tasks started per second
+ *
+ * @param {Object} limits An object containing maxConcurrent and requestsPerSecond keys
+ * @returns {Function} A function taking a task (a function returning a Promise) and an optional AbortSignal
+ */
+function createLimiter ({ maxConcurrent, requestsPerSecond }) {
+  const queue = []
+  const interval = 1000 / requestsPerSecond
+  let running = 0
+  let nextStart = 0
+  let timer = null
+
+  const next = () => {
+    if (timer || running >= maxConcurrent || queue.length === 0) return
+
+    const delay = nextStart - Date.now()
+
+    if (delay > 0) {
+      timer = setTimeout(() => {
+        timer = null
+        next()
+      }, delay)
+
+      return
+    }
+
+    running++
+    nextStart = Date.now() + interval
+    queue.shift().start()
+    next()
+  }
+
+  return (task, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(new AbortError())
+
+    const onAbort = () => {
+      queue.splice(queue.indexOf(entry), 1)
+      reject(new AbortError())
+    }
+
+    const entry = {
+      start: () => {
+        if (signal) signal.removeEventListener('abort', onAbort)
+
+        Promise.resolve()
+          .then(task)
+          .then(resolve, reject)
+          .finally(() => {
+            running--
+            next()
+          })
+      }
+    }
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true })
+
+    queue.push(entry)
+    next()
+  })
+}
+
+/**
+ * Calculates how long to wait before retrying, using exponential backoff with jitter unless the API tells us how
+ * long to wait with a Retry-After header
+ *
+ * @param {retryOptions} retry The retry options
+ * @param {number} retryCount The number of retries done so far
+ * @param {Object} headers The headers of the failed response, if any
+ * @returns {number} The delay in milliseconds
+ */
+function getRetryDelay ({ baseDelay, maxDelay }, retryCount, headers = {}) {
+  const retryAfter = headers['retry-after']
+
+  if (retryAfter !== undefined) {
+    const delay = /^\d+$/.test(retryAfter) ? retryAfter * 1000 : Date.parse(retryAfter) - Date.now()
+    if (!Number.isNaN(delay)) return Math.min(maxDelay, Math.max(0, delay))
+  }
+
+  return Math.random() * Math.min(maxDelay, baseDelay * 2 ** retryCount)
+}
+
+/**
+ * Waits for a number of milliseconds
+ *
+ * @param {number} ms The number of milliseconds to wait
+ * @param {AbortSignal} signal Stops waiting and rejects when triggered (optional)
+ * @returns {Promise}
+ */
+function wait (ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (!signal) return setTimeout(resolve, ms)
+    if (signal.aborted) return reject(new AbortError())
+
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(new AbortError())
+    }
+
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+
+    signal.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Turns a response with an error status into the matching error
+ *
+ * @param {transportResponse} response The response
+ * @returns {ApiError}
+ */
+function createApiError ({ statusCode, body }) {
+  let errors = []
+
+  try {
+    errors = JSON.parse(body).errors || []
+  } catch (error) {
+    // Not every error response has a JSON body
+  }
+
+  const apiErrorCodes = errors.map(error => error.code).filter(code => code)
+  const details = { statusCode, apiErrorCodes }
+
+  if (apiErrorCodes.some(code => invalidHotelCodeErrorCodes.includes(code))) {
+    return new InvalidHotelCodeError('Unknown or invalid hotelCode', details)
+  } else if (apiErrorCodes.some(code => noAvailabilityErrorCodes.includes(code))) {
+    return new NoAvailabilityError('No availability for your search', details)
+  } else if (statusCode === 401 || statusCode === 403) {
+    return new AuthenticationError(`API rejected the apiKey (statusCode ${statusCode})`, details)
+  } else if (statusCode === 429) {
+    return new RateLimitError('API reports too many requests (statusCode 429)', details)
+  } else if (statusCode >= 500) {
+    return new ApiServerError(`API reports a server error (statusCode ${statusCode})`, details)
+  }
+
+  return new ApiError(errors.length > 0 && errors[0].message ? errors[0].message : `API responded with statusCode ${statusCode}`, details)
+}
+
+/**
+ * Converts an amount between currencies
+ *
+ * @param {number} amount The amount to convert
+ * @param {string} from The ISO 4217 code of the currency of amount
+ * @param {string} to The ISO 4217 code of the currency to convert to
+ * @param {Object} rates The value of a common base currency in every currency, by ISO 4217 currency code
+ * @returns {number}
+ */
+function convertAmount (amount, from, to, rates) {
+  if (from === to) return amount
+
+  const missing = [from, to].filter(currencyCode => !(rates[currencyCode] > 0))
+
+  if (missing.length > 0) {
+    throw new ValidationError(`No exchange rate provided for ${missing.join(', ')}`)
+  }
+
+  return amount / rates[from] * rates[to]
+}
+
+/**
+ * Checks that a hotelCode was provided
+ *
+ * @param {string} hotelCode The systemwide id of the hotel
+ */
+function checkHotelCode (hotelCode) {
+  if (!hotelCode) {
+    throw new ValidationError('hotelCode is required')
+  }
+
+  if (typeof hotelCode !== 'string') {
+    throw new ValidationError('Invalid value for hotelCode (should be a string)')
+  }
+}
+
+/**
+ * Checks the format of the dates passed as options, dates that were left out are skipped
+ *
+ * @param {Object} dates The dates to check by option name, e.g. { checkinDate, checkoutDate }
+ */
+function checkDates (dates) {
+  Object.entries(dates).forEach(([name, date]) => {
+    if (date !== undefined && !dayjs(date, 'YYYY-MM-DD', true).isValid()) {
+      throw new ValidationError(`Invalid value for ${name} (should be formatted as YYYY-MM-DD)`)
+    }
+  })
+}
+
+/**
+ * Checks the hotelCodes of a batch and removes duplicates, hotelCodes are uppercased as results are keyed by them
+ *
+ * @param {string[]} hotelCodes The systemwide ids of the hotels
+ * @returns {string[]}
+ */
+function getBatchHotelCodes (hotelCodes) {
+  if (!Array.isArray(hotelCodes) || hotelCodes.length === 0 || !hotelCodes.every(d => d && typeof d === 'string')) {
+    throw new ValidationError('hotelCodes should be a non-empty array of hotelCodes')
+  }
+
+  return [...new Set(hotelCodes.map(hotelCode => hotelCode.toUpperCase()))]
+}
+
+/**
+ * Checks that a stay lasts at least one night, when both dates are known
+ *
+ * @param {string|undefined} checkinDate The check-in date
+ * @param {string|undefined} checkoutDate The check-out date
+ */
+function checkStayDates (checkinDate, checkoutDate) {
+  if (checkinDate !== undefined && checkoutDate !== undefined && checkoutDate <= checkinDate) {
+    throw new ValidationError('checkoutDate should be after checkinDate')
+  }
+}
+
+/**
+ * Checks that a period contains at least one day, when both dates are known
+ *
+ * @param {string|undefined} startDate The first date of the period
+ * @param {string|undefined} endDate The last date of the period
+ */
+function checkPeriodDates (startDate, endDate) {
+  if (startDate !== undefined && endDate !== undefined && endDate < startDate) {
+    throw new ValidationError('endDate should not be before startDate')
+  }
+}
+
+/**
+ * Checks the number of guests in a room
+ *
+ * @param {number} adults The number of adults, at least 1
+ * @param {number} children The number of children
+ */
+function checkGuests (adults, children) {
+  if (!Number.isInteger(adults) || adults < 1) {
+    throw new ValidationError('Invalid value for adults (should be a whole number of at least 1)')
+  }
+
+  if (!Number.isInteger(children) || children < 0) {
+    throw new ValidationError('Invalid value for children (should be a whole number of at least 0)')
+  }
+}
+
+/**
+ * Checks the number of rooms of a booking
+ *
+ * @param {number} numberOfRooms The number of rooms, from 1 to MAX_ROOMS
+ */
+function checkNumberOfRooms (numberOfRooms) {
+  if (!Number.isInteger(numberOfRooms) || numberOfRooms < 1 || numberOfRooms > MAX_ROOMS) {
+    throw new ValidationError(`Invalid value for numberOfRooms (should be a whole number from 1 to ${MAX_ROOMS})`)
+  }
+}
+
+/**
+ * Checks the maximum number of requests a method runs at the same time, skipped when left out
+ *
+ * @param {number|undefined} concurrency The number of requests, a whole number of at least 1 or Infinity
+ */
+function checkConcurrency (concurrency) {
+  if (concurrency !== undefined && concurrency !== Infinity && !(Number.isInteger(concurrency) && concurrency >= 1)) {
+    throw new ValidationError('Invalid value for concurrency (should be a whole number of at least 1)')
+  }
+}
+
+/**
+ * Checks that a signal or timeout can be honoured, as both need AbortController (Node 16 or later)
+ *
+ * @param {AbortSignal|undefined} signal The signal of the caller
+ * @param {number|undefined} timeout The timeout in milliseconds
+ */
+function checkAbortSupport (signal, timeout) {
+  if ((signal || timeout) && typeof AbortController === 'undefined') {
+    throw new ValidationError('signal and timeout need AbortController, please use Node 16 or later')
+  }
+}
+
+/**
+ * Checks the coordinates of an area search
+ *
+ * @param {Array} coordinates The coordinates, expressed as [longitude, latitude]
+ */
+function checkCoordinates (coordinates) {
+  const isValid = Array.isArray(coordinates) &&
+    coordinates.length === 2 &&
+    coordinates.every(d => typeof (d) === 'number' && Number.isFinite(d))
+
+  if (!isValid) throw new ValidationError('Invalid format used for coordinates, please use [lng, lat]')
+
+  const [longitude, latitude] = coordinates
+
+  if (Math.abs(longitude) > 180 || Math.abs(latitude) > 90) {
+    throw new ValidationError('Invalid value for coordinates (longitude should be between -180 and 180, latitude between -90 and 90)')
+  }
+}
+
+/**
+ * Checks the unit of distance of an area search
+ *
+ * @param {string} unit The unit, mi or km in any case
+ */
+function checkUnit (unit) {
+  if (typeof unit !== 'string' || !['KM', 'MI'].includes(unit.toUpperCase())) {
+    throw new ValidationError('Invalid value for unit (should be mi or km)')
+  }
+}
+
+/**
+ * Checks the radius of an area search
+ *
+ * @param {number} radius The radius in the unit of the search, greater than 0 and at most 100
+ */
+function checkRadius (radius) {
+  if (typeof radius !== 'number' || !(radius > 0 && radius <= 100)) {
+    throw new ValidationError('Invalid value for radius (should be a number greater than 0 and at most 100)')
+  }
+}
+
+/**
+ * Gets today's date in a time zone
+ *
+ * @param {string|null} timeZone The IANA time zone, e.g. Europe/Brussels
+ * @returns {string|null} The date in ISO 8601 date format, null when the time zone is unknown
+ */
+function getTodayIn (timeZone) {
+  if (!timeZone) return null
+
+  try {
+    // The Canadian English format happens to be ISO 8601
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date())
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Gets today's date at a UTC offset
+ *
+ * @param {number} hours The offset from UTC in hours
+ * @returns {string} The date in ISO 8601 date format
+ */
+function getTodayAtOffset (hours) {
+  return new Date(Date.now() + hours * 60 * 60 * 1000).toISOString().slice(0, 10)
+}
+
+/**
+ * Gets today's date at a place, the rule used for both hotels and areas: in its time zone when known, otherwise at its
+ * longitude
+ *
+ * @param {Object} location An object containing timeZone and longitude keys (both optional)
+ * @returns {string|null} The date in ISO 8601 date format, null when neither is known
+ */
+function getTodayAt ({ timeZone, longitude }) {
+  return getTodayIn(timeZone) || (typeof longitude === 'number' ? getTodayAtLongitude(longitude) : null)
+}
+
+/**
+ * Gets today's date at a longitude, using the time zone of the sea at that longitude (15 degrees per hour)
+ *
+ * @param {number} longitude The longitude
+ * @returns {string} The date in ISO 8601 date format
+ */
+function getTodayAtLongitude (longitude) {
+  return getTodayAtOffset(Math.round(longitude / 15))
+}
+
+/**
+ * Checks the locale option and normalizes it to a lowercase language and an uppercase country code, e.g. fr-FR
+ *
+ * @param {string|undefined} locale The locale, as language and country code separated by a hyphen or underscore
+ * @returns {string|undefined}
+ */
+function getLocale (locale) {
+  if (locale === undefined || locale === null) return undefined
+
+  const match = typeof locale === 'string' ? locale.match(/^([a-z]{2})[-_]([a-z]{2})$/i) : null
+
+  if (!match) {
+    throw new ValidationError('Invalid value for locale (should be a language and country code such as fr-FR)')
+  }
+
+  return `${match[1].toLowerCase()}-${match[2].toUpperCase()}`
+}
+
+/**
+ * Turns the locale option into a query string parameter to append to a path, empty when no locale was set
+ *
+ * @param {string|undefined} locale The locale
+ * @returns {string}
+ */
+function getLocaleParameter (locale) {
+  const normalizedLocale = getLocale(locale)
+  return normalizedLocale ? `&locale=${normalizedLocale}` : ''
+}
+
+/**
+ * Checks the targetCurrency option
+ *
+ * @param {string|undefined} targetCurrency The ISO 4217 code of the currency to convert to, undefined to not convert
+ * @param {exchangeRateProvider|undefined} exchangeRates The exchange rate provider of the client
+ */
+function checkTargetCurrency (targetCurrency, exchangeRates) {
+  if (targetCurrency === undefined || targetCurrency === null) return
+
+  if (typeof targetCurrency !== 'string' || !/^[A-Z]{3}$/.test(targetCurrency)) {
+    throw new ValidationError('Invalid value for targetCurrency (should be an ISO 4217 currency code such as EUR)')
+  }
+
+  if (!exchangeRates) {
+    throw new ValidationError('exchangeRates is required to convert prices to targetCurrency')
+  }
+}
+
+/**
+ * Adds converted prices to the result of getLowestHotelPrices, or to one hotel of getLowestMultiHotelPrices
+ *
+ * @param {Object} calendar The price calendar
+ * @param {Object} converter An object containing currencyCode, rateDate and convert keys
+ * @returns {Object}
+ */
+function convertCalendar (calendar, { currencyCode, rateDate, convert }) {
+  if (calendar.currencyCode === null) return calendar
+
+  return {
+    ...calendar,
+    prices: calendar.prices.map(price => ({ ...price, convertedCashPrice: convert(price.cashPrice, calendar.currencyCode) })),
+    conversion: { currencyCode, rateDate }
+  }
+}
+
+/**
+ * Adds converted prices to the result of getStayPrices, including the cash part of points and cash offers (always USD)
+ *
+ * @param {Object} stayPrices The stay prices
+ * @param {Object} converter An object containing currencyCode, rateDate and convert keys
+ * @returns {Object}
+ */
+function convertStayPrices (stayPrices, { currencyCode, rateDate, convert }) {
+  return {
+    ...stayPrices,
+    prices: stayPrices.prices.map(price => ({
+      ...price,
+      convertedCashPrice: convert(price.cashPrice, stayPrices.currency),
+      convertedTotalAfterTax: convert(price.totalAfterTax, stayPrices.currency),
+      convertedTotalCashPrice: convert(price.totalCashPrice, stayPrices.currency),
+      upsells: price.upsells.map(upsell => ({ ...upsell, convertedPriceDifference: convert(upsell.priceDifference, stayPrices.currency) })),
+      points: price.points === null
+        ? null
+        : price.points.map(option => ({
+          ...option,
+          convertedCashPrice: convert(option.cashPrice, 'USD'),
+          convertedTotalCashPrice: convert(option.totalCashPrice, 'USD')
+        }))
+    })),
+    conversion: { currencyCode, rateDate }
+  }
+}
+
+/**
+ * Adds converted prices to the result of getLowestAreaPrices
+ *
+ * @param {Array} hotels The area prices
+ * @param {Object} converter An object containing currencyCode, rateDate and convert keys
+ * @returns {Array}
+ */
+function convertAreaPrices (hotels, { currencyCode, rateDate, convert }) {
+  return hotels.map(hotel => ({
+    ...hotel,
+    convertedCashPrice: convert(hotel.cashPrice, hotel.currencyCode),
+    conversion: { currencyCode, rateDate }
+  }))
+}
+
+/**
+ * Compares the prices seen for a night at two checks
+ *
+ * @param {Object} previous The points and cashPrice seen at the previous check (both null when never seen)
+ * @param {Object} current The points and cashPrice seen now
+ * @param {watcherThresholds} thresholds Which changes trigger an event
+ * @param {Function} createEvent A function taking type, before and after and returning a watcherEvent
+ * @returns {watcherEvent[]}
+ */
+function getWatcherEvents (previous, current, { maxPoints, maxCashPrice, minPointsDrop, minCashDrop }, createEvent) {
+  const events = []
+  const isReward = points => points !== null && points <= maxPoints
+
+  if (!isReward(previous.points) && isReward(current.points)) {
+    events.push(createEvent('rewardAvailable', previous.points, current.points))
+  } else if (isReward(previous.points) && !isReward(current.points)) {
+    events.push(createEvent('rewardGone', previous.points, current.points))
+  } else if (isReward(current.points) && previous.points - current.points >= minPointsDrop) {
+    events.push(createEvent('pointsDrop', previous.points, current.points))
+  }
+
+  if (previous.cashPrice !== null && current.cashPrice !== null && current.cashPrice <= maxCashPrice && previous.cashPrice - current.cashPrice >= minCashDrop) {
+    events.push(createEvent('cashDrop', previous.cashPrice, current.cashPrice))
+  }
+
+  return events
+}
+
+/**
+ * Builds the url of the booking page for the given hotel and stay
+ *
+ * @param {string} hotelCode The systemwide id of the hotel
+ * @param {bookingPageOptions} options The stay to prefill
+ * @returns {string}
+ */
+function createBookingPageUrl (hotelCode, {
+  checkinDate = dayjs().format('YYYY-MM-DD'),
+  checkoutDate = dayjs(checkinDate).add(1, 'day').format('YYYY-MM-DD'),
+  adults = 1,
+  children = 0,
+  numberOfRooms = 1,
+  rateCode,
+  rewardNights = false,
+  corporateId,
+  pointsMode = false,
+  locale
+} = {}) {
+  checkHotelCode(hotelCode)
+
+  // Links can't be checked against the API, so hotelCodes should at least look like one
+  if (!/^[A-Z]{5}$/i.test(hotelCode)) {
+    throw new ValidationError('Invalid value for hotelCode (should be a code of 5 letters such as ANRAW)')
+  }
+
+  checkDates({ checkinDate, checkoutDate })
+  checkStayDates(checkinDate, checkoutDate)
+  checkGuests(adults, children)
+
+  checkNumberOfRooms(numberOfRooms)
+
+  Object.entries({ rateCode, corporateId }).forEach(([name, value]) => {
+    if (value !== undefined && value !== null && (typeof value !== 'string' || !/^[A-Z0-9]+$/i.test(value))) {
+      throw new ValidationError(`Invalid value for ${name} (should only contain letters and digits)`)
+    }
+  })
+
+  Object.entries({ rewardNights, pointsMode }).forEach(([name, value]) => {
+    if (typeof value !== 'boolean') {
+      throw new ValidationError(`Invalid value for ${name} (should be a boolean)`)
+    }
+  })
+
+  if (rewardNights && rateCode) {
+    throw new ValidationError('rateCode and rewardNights can not be combined')
+  }
+
+  // The booking site is organised by market first, then by language
+  const [language, country] = (getLocale(locale) || 'en-US').split('-')
+
+  const [checkinDay, checkinMonthYear] = toBookingPageDate(checkinDate)
+  const [checkoutDay, checkoutMonthYear] = toBookingPageDate(checkoutDate)
+
+  const optionalParameters = [
+    rateCode ? `&qRtP=${rateCode.toUpperCase()}` : '',
+    rewardNights ? '&qRpn=1' : '',
+    corporateId ? `&qCpid=${corporateId.toUpperCase()}` : '',
+    pointsMode ? '&qpMn=1' : ''
+  ].join('')
+
+  return `https://www.ihg.com/hotels/${country.toLowerCase()}/${language}/find-hotels/select-roomrate?fromRedirect=true&qSrt=sBR&qSlH=${hotelCode.toUpperCase()}&qRms=${numberOfRooms}&qAdlt=${adults}&qChld=${children}&qCiD=${checkinDay}&qCiMy=${checkinMonthYear}&qCoD=${checkoutDay}&qCoMy=${checkoutMonthYear}${optionalParameters}`
+}
+
+/**
+ * Splits a date into the day and the month and year parameters of the booking site, which counts months from 0
+ *
+ * @param {string} date The date, in ISO 8601 date format
+ * @returns {string[]} The day and the month and year, e.g. ['01', '022023'] for 2023-03-01
+ */
+function toBookingPageDate (date) {
+  const [year, month, day] = date.split('-')
+  return [day, `${(+month - 1).toString().padStart(2, '0')}${year}`]
+}
+
+/**
+ * Turns the day and the month and year parameters of the booking site back into a date
+ *
+ * @param {string|null} day The day of the month
+ * @param {string|null} monthYear The month (counting from 0) and the year, e.g. 022023
+ * @returns {string|null} The date in ISO 8601 date format, null when invalid
+ */
+function fromBookingPageDate (day, monthYear) {
+  if (!/^\d{1,2}$/.test(day || '') || !/^\d{6}$/.test(monthYear || '')) return null
+
+  const month = (+monthYear.slice(0, 2) + 1).toString().padStart(2, '0')
+  const date = `${monthYear.slice(2)}-${month}-${day.padStart(2, '0')}`
+
+  return dayjs(date, 'YYYY-MM-DD', true).isValid() ? date : null
+}
+
+/**
+ * Formats rows as CSV, with the given columns first and conversion columns last when any row was converted
+ *
+ * @param {Object[]} rows The rows
+ * @param {string[]} columns The columns, in order
+ * @returns {string}
+ */
+function formatCsv (rows, columns) {
+  const allColumns = rows.some(row => row.targetCurrencyCode !== null)
+    ? [...columns, 'targetCurrencyCode', 'convertedCashPrice']
+    : columns
+
+  const formatCell = (value) => {
+    const cell = value === null || value === undefined ? '' : String(value)
+    return /[",\n\r]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell
+  }
+
+  return [allColumns, ...rows.map(row => allColumns.map(column => row[column])).map(line => line.map(formatCell))]
+    .map(line => line.join(','))
+    .join('\n') + '\n'
+}
+
+/**
+ * Escapes text for use in an iCalendar property value
+ *
+ * @param {string} text The text
+ * @returns {string}
+ */
+function escapeIcsText (text) {
+  return text.replace(/[\\;,]/g, match => `\\${match}`).replace(/\n/g, '\\n')
+}
+
+/**
+ * Folds an iCalendar content line into lines of at most 75 characters, as required by RFC 5545
+ *
+ * @param {string} line The content line
+ * @returns {string}
+ */
+function foldIcsLine (line) {
+  const parts = [line.slice(0, 75)]
+
+  for (let i = 75; i < line.length; i += 74) {
+    parts.push(` ${line.slice(i, i + 74)}`)
+  }
+
+  return parts.join('\r\n')
+}
+
+/**
+ * Runs fn and adds the name and parameters of the method being called to any TrippeError it throws or rejects with
+ *
+ * @param {string} methodName The name of the method
+ * @param {Object} params The parameters the method was called with
+ * @param {Function} fn The body of the method
+ * @returns {*} The return value of fn
+ */
+function withContext (methodName, params, fn) {
+  const addContext = (error) => {
+    if (error instanceof TrippeError && error.methodName === null) {
+      error.methodName = methodName
+      error.params = params
+    }
+
+    return error
+  }
+
+  let result
+
+  try {
+    result = fn()
+  } catch (error) {
+    throw addContext(error)
+  }
+
+  return result instanceof Promise ? result.catch(error => { throw addContext(error) }) : result
+}
+
+/**
+ * Splits an array into arrays of at most size items
+ *
+ * @param {Array} items The items to split
+ * @param {number} size The maximum number of items per array
+ * @returns {Array<Array>}
+ */
+function chunk (items, size) {
+  return [...new Array(Math.ceil(items.length / size))].map((u, i) => items.slice(i * size, (i + 1) * size))
+}
+
+/**
+ * Runs fn for every item with no more than concurrency calls running at the same time
+ * Results are returned in the same order and format as Promise.allSettled
+ *
+ * @param {Array} items The items to process
+ * @param {number} concurrency The maximum number of calls running at the same time
+ * @param {Function} fn A function returning a Promise for a single item
+ * @returns {Promise<Array>}
+ */
+function mapConcurrently (items, concurrency, fn) {
+  const results = new Array(items.length)
+  let next = 0
+
+  const worker = () => {
+    if (next >= items.length) return Promise.resolve()
+
+    const i = next++
+
+    return Promise.resolve()
+      .then(() => fn(items[i], i))
+      .then(
+        value => { results[i] = { status: 'fulfilled', value } },
+        reason => { results[i] = { status: 'rejected', reason } }
+      )
+      .then(worker)
+  }
+
+  const workers = [...new Array(Math.max(1, Math.min(concurrency, items.length)))].map(worker)
+
+  return Promise.all(workers).then(() => results)
+}
@@ -1,7 +1,13 @@
 import test from 'ava'
 import dotenv from 'dotenv'
+import dayjs from 'dayjs'
+import { execFile } from 'node:child_process'
+import { mkdtemp, readdir } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { promisify } from 'node:util'
 
-import Trippe from '../index.js'
+import Trippe, { addBrand, analyzeRedemptions, brands, calendarToCsv, calendarToIcs, FileStore, parseBookingPageUrl, StaticRateProvider, Watcher, ValidationError, AuthenticationError, NoAvailabilityError, InvalidHotelCodeError } from '../index.js'
 
 test.before('Load environment variables', (t) => {
   dotenv.config()
@@ -16,6 +22,167 @@ test('[constructor] Throws when no API key provided', (t) => {
   })
 })
 
+test('[constructor] Throws when transport is not a function', (t) => {
+  t.throws(() => {
+    // eslint-disable-next-line no-unused-vars
+    const trippe = new Trippe('API_KEY', { transport: 'got' })
+  }, {
+    message: 'transport should be a function'
+  })
+})
+
+test('[constructor] Throws when fixtures are misconfigured', (t) => {
+  t.throws(() => {
+    // eslint-disable-next-line no-unused-vars
+    const trippe = new Trippe('API_KEY', { fixtures: { mode: 'replay' } })
+  }, {
+    message: "fixtures should contain a directory and a mode of either 'record' or 'replay'"
+  })
+})
+
+test('[constructor] Sends requests to baseUrl through the transport', async (t) => {
+  const requests = []
+  const trippe = new Trippe('API_KEY', {
+    baseUrl: 'http://localhost:3000/',
+    transport: mockTransport((request) => {
+      requests.push(request)
+      return [{ longitude: 4.4, latitude: 51.2, clarifiedLocation: 'Antwerp, Belgium' }]
+    })
+  })
+
+  const destinations = await trippe.getDestinations('Ant')
+
+  t.deepEqual(destinations, [{ coordinates: [4.4, 51.2], display: 'Antwerp, Belgium' }])
+  t.is(requests[0].url, 'http://localhost:3000/locations/v1/destinations?destination=Ant')
+  t.is(requests[0].headers['x-ihg-api-key'], 'API_KEY')
+})
+
+test('[constructor] Records responses and replays them without calling the transport', async (t) => {
+  const directory = await mkdtemp(join(tmpdir(), 'trippe-'))
+  const response = [{ longitude: 4.4, latitude: 51.2, clarifiedLocation: 'Antwerp, Belgium' }]
+
+  const recorder = new Trippe('API_KEY', { transport: mockTransport(() => response), fixtures: { mode: 'record', directory } })
+  const recorded = await recorder.getDestinations('Ant')
+
+  t.is((await readdir(directory)).length, 1)
+
+  const player = new Trippe('API_KEY', { transport: () => t.fail(), fixtures: { mode: 'replay', directory } })
+
+  t.deepEqual(await player.getDestinations('Ant'), recorded)
+  await t.throwsAsync(() => player.getDestinations('Bru'), {
+    message: 'No fixture found for GET https://apis.ihg.com/locations/v1/destinations?destination=Bru'
+  })
+})
+
+test('[constructor] Throws when the cache store is invalid', (t) => {
+  t.throws(() => {
+    // eslint-disable-next-line no-unused-vars
+    const trippe = new Trippe('API_KEY', { cache: { store: {} } })
+  }, {
+    message: 'cache.store should have get and set methods'
+  })
+})
+
+test('[constructor] Serves repeated requests from the cache unless fresh is set', async (t) => {
+  let calls = 0
+  const trippe = new Trippe('API_KEY', {
+    cache: { ttl: { getLowestAreaPrices: 0 } },
+    transport: mockTransport(() => {
+      calls++
+      return [{ longitude: 4.4, latitude: 51.2, clarifiedLocation: 'Antwerp, Belgium' }]
+    })
+  })
+
+  await trippe.getDestinations('Ant')
+  await trippe.getDestinations('Ant')
+  t.is(calls, 1)
+
+  await trippe.getDestinations('Ant', { fresh: true })
+  t.is(calls, 2)
+})
+
+test('[FileStore] Keeps values until they expire', async (t) => {
+  const store = new FileStore(await mkdtemp(join(tmpdir(), 'trippe-')))
+
+  await store.set('a', { statusCode: 200 }, 60000)
+  await store.set('b', { statusCode: 200 }, -1)
+
+  t.deepEqual(await store.get('a'), { statusCode: 200 })
+  t.is(await store.get('b'), undefined)
+  t.is(await store.get('c'), undefined)
+})
+
+test('[constructor] Retries failed requests and honours Retry-After', async (t) => {
+  const statusCodes = [429, 503, 200]
+  const started = Date.now()
+  const trippe = new Trippe('API_KEY', {
+    retry: { baseDelay: 1 },
+    transport: (request) => Promise.resolve({
+      statusCode: statusCodes.shift(),
+      headers: { 'retry-after': '1' },
+      body: JSON.stringify([])
+    })
+  })
+
+  t.deepEqual(await trippe.getDestinations('Ant'), [])
+  t.is(statusCodes.length, 0)
+  t.true(Date.now() - started >= 2000)
+})
+
+test('[constructor] Limits the number of concurrent requests across calls', async (t) => {
+  let running = 0
+  let maxRunning = 0
+  const trippe = new Trippe('API_KEY', {
+    maxConcurrent: 2,
+    transport: () => {
+      maxRunning = Math.max(maxRunning, ++running)
+      return new Promise(resolve => setTimeout(resolve, 20))
+        .then(() => {
+          running--
+          return { statusCode: 200, headers: {}, body: '[]' }
+        })
+    }
+  })
+
+  await Promise.all(['Ant', 'Bru', 'Gen', 'Lux', 'Par'].map(query => trippe.getDestinations(query)))
+
+  t.is(maxRunning, 2)
+})
+
+// AbortController is only available from Node 16
+const testAbort = typeof AbortController === 'undefined' ? test.skip : test
+
+testAbort('[constructor] Cancels requests with a signal or a timeout', async (t) => {
+  const trippe = new Trippe('API_KEY', {
+    transport: ({ signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')))
+    })
+  })
+
+  const controller = new AbortController()
+  const cancelled = trippe.getDestinations('Ant', { signal: controller.signal })
+  controller.abort()
+
+  await t.throwsAsync(cancelled, { message: 'The request was aborted' })
+  await t.throwsAsync(trippe.getDestinations('Ant', { timeout: 50 }), { message: 'The request timed out after 50ms' })
+})
+
+test.serial('[constructor] Throws when a signal or timeout is used without AbortController', async (t) => {
+  const trippe = new Trippe('API_KEY', { transport: mockTransport(() => []) })
+
+  // Serial tests run before the others, so removing the global doesn't affect them
+  const { AbortController } = globalThis
+  delete globalThis.AbortController
+  t.teardown(() => {
+    globalThis.AbortController = AbortController
+  })
+
+  const message = 'signal and timeout need AbortController, please use Node 16 or later'
+  await t.throwsAsync(async () => trippe.getDestinations('Ant', { timeout: 50 }), { instanceOf: ValidationError, message })
+  await t.throwsAsync(async () => trippe.getDestinations('Ant', { signal: {} }), { instanceOf: ValidationError, message })
+  t.deepEqual(await trippe.getDestinations('Ant'), [])
+})
+
 test('[getHotelDetails] Throws when no hotelCode is provided', (t) => {
   const trippe = new Trippe(process.env.API_KEY)
 
@@ -36,6 +203,140 @@ test('[getHotelDetails] Throws when invalid or unknown hotelCode is provided', a
   })
 })
 
+test('[getHotelDetails] Falls back to null for unknown brands until they are added', async (t) => {
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport(() => ({
+      hotelInfo: { brandInfo: { brandCode: 'GRNR' }, location: {}, profile: { name: 'Garner', latLong: {} }, address: { state: {}, country: { code: 'US' } } }
+    }))
+  })
+
+  const unknown = await trippe.getHotelDetails('NYCGR')
+  t.is(unknown.brandName, null)
+  t.is(unknown.brandTier, null)
+
+  // The catalogue is shared by every test, remove the brand again afterwards
+  addBrand('GRNR', { name: 'Garner', tier: 'essentials' })
+  t.teardown(() => {
+    delete brands.GRNR
+  })
+
+  const known = await trippe.getHotelDetails('NYCGR')
+  t.is(known.brandName, 'Garner')
+  t.is(known.brandTier, 'essentials')
+})
+
+test('[getHotelDetails] Throws when include contains an unknown part', (t) => {
+  const trippe = new Trippe(process.env.API_KEY)
+
+  t.throws(() => {
+    trippe.getHotelDetails('ANRAW', { include: ['amenities', 'spa'] })
+  }, {
+    message: 'Invalid value for include (should be an array containing any of amenities, policies, contact, media)'
+  })
+})
+
+test('[getHotelDetails] Adds amenities, policies, contact and media when included', async (t) => {
+  const paths = []
+
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport((request) => {
+      paths.push(new URL(request.url).search)
+
+      return {
+        hotelInfo: {
+          brandInfo: { brandCode: 'HIEX' },
+          location: { timeZone: 'Europe/Brussels' },
+          profile: { name: 'Antwerp', latLong: {} },
+          address: { state: {}, country: { code: 'BE' } },
+          facilities: [{ name: 'Indoor Pool' }, { name: 'Fitness Center' }, { name: 'Business Center' }],
+          policies: { checkinTime: '15:00:00', checkoutTime: '12:00:00', petPolicy: { petsAllowed: false } },
+          contact: { phoneNumber: '+32 3 000 00 00' },
+          media: { images: [{ url: '//digital.ihg.com/is/image/ihg/hotel-1' }] }
+        }
+      }
+    })
+  })
+
+  const hotelDetails = await trippe.getHotelDetails('ANRAW', { include: ['amenities', 'policies', 'contact', 'media'] })
+
+  t.is(paths[0], '?fieldset=brandInfo,location,profile,address,facilities,policies,contact,media')
+  t.is(hotelDetails.timeZone, 'Europe/Brussels')
+  t.deepEqual(hotelDetails.amenities, {
+    pool: true,
+    fitnessCenter: true,
+    parking: false,
+    evCharging: false,
+    all: ['Indoor Pool', 'Fitness Center', 'Business Center']
+  })
+  t.is(hotelDetails.checkInTime, '15:00')
+  t.is(hotelDetails.checkOutTime, '12:00')
+  t.deepEqual(hotelDetails.petPolicy, { allowed: false, description: null })
+  t.is(hotelDetails.parkingPolicy, null)
+  t.is(hotelDetails.phone, '+32 3 000 00 00')
+  t.is(hotelDetails.email, null)
+  t.deepEqual(hotelDetails.images, ['https://digital.ihg.com/is/image/ihg/hotel-1'])
+
+  const basicDetails = await trippe.getHotelDetails('ANRAW')
+  t.is(paths[1], '?fieldset=brandInfo,location,profile,address')
+  t.false('amenities' in basicDetails)
+})
+
+test('[getMultiHotelDetails] Reports failing hotels by hotelCode without failing the batch', async (t) => {
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport((request) => {
+      const hotelCode = request.url.split('/')[6]
+
+      return hotelCode === 'XXXXX'
+        ? [404, {}]
+        : { hotelInfo: { brandInfo: { brandCode: 'HICP' }, location: {}, profile: { name: hotelCode, latLong: {} }, address: { state: {}, country: {} } } }
+    })
+  })
+
+  const progress = []
+  const { results, errors } = await trippe.getMultiHotelDetails(['ANRAW', 'xxxxx', 'ANTHI', 'ANRAW'], {
+    concurrency: 2,
+    onProgress: ({ hotelCode, completed, total, error }) => progress.push([hotelCode, completed, total, error !== null])
+  })
+
+  t.deepEqual(Object.keys(results).sort(), ['ANRAW', 'ANTHI'])
+  t.is(results.ANTHI.hotelName, 'ANTHI')
+  t.deepEqual(Object.keys(errors), ['XXXXX'])
+  t.true(errors.XXXXX instanceof InvalidHotelCodeError)
+  t.deepEqual(progress.map(([hotelCode, completed, total]) => [completed, total]), [[1, 3], [2, 3], [3, 3]])
+  t.deepEqual(progress.filter(([, , , failed]) => failed).map(([hotelCode]) => hotelCode), ['XXXXX'])
+})
+
+test('[iterateHotelDetails] Streams hotel details and stops looking up when the loop is left', async (t) => {
+  const requested = []
+
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport((request) => {
+      requested.push(request.url.split('/')[6])
+      return { hotelInfo: { brandInfo: { brandCode: 'HICP' }, location: {}, profile: { latLong: {} }, address: { state: {}, country: {} } } }
+    })
+  })
+
+  const hotelCodes = ['ANRAW', 'ANTHI', 'ANRCP', 'BRUHA']
+  const seen = []
+
+  for await (const { hotelCode, details, error } of trippe.iterateHotelDetails(hotelCodes, { concurrency: 1 })) {
+    t.is(error, null)
+    t.is(details.hotelCode, hotelCode)
+    seen.push(hotelCode)
+
+    if (seen.length === 2) break
+  }
+
+  t.deepEqual(seen, ['ANRAW', 'ANTHI'])
+  t.true(requested.length < hotelCodes.length)
+
+  const all = []
+  for await (const entry of trippe.iterateHotelDetails(hotelCodes)) all.push(entry.hotelCode)
+  t.deepEqual(all.sort(), [...hotelCodes].sort())
+
+  t.throws(() => trippe.iterateHotelDetails([]), { instanceOf: ValidationError, message: 'hotelCodes should be a non-empty array of hotelCodes' })
+})
+
 test('[getHotelDetails] Gets correctly formatted hotel details', async (t) => {
   const trippe = new Trippe(process.env.API_KEY)
   const hotelDetails = await trippe.getHotelDetails('ANRAW')
@@ -45,6 +346,7 @@ test('[getHotelDetails] Gets correctly formatted hotel details', async (t) => {
     hotelName: 'string',
     brandCode: 'string',
     brandName: 'string',
+    brandTier: 'string',
     description: 'object',
     numberOfRooms: 'number',
     closestCity: 'string',
@@ -54,7 +356,8 @@ test('[getHotelDetails] Gets correctly formatted hotel details', async (t) => {
     state: 'object',
     country: 'string',
     coordinates: 'array',
-    url: 'string'
+    url: 'string',
+    timeZone: 'string'
   })
 
   t.is(hotelDetails.brandCode.length, 4)
@@ -89,16 +392,16 @@ test('[getLowestHotelPrices] Throws when invalid or unknown hotelCode is provide
   })
 })
 
-test('[getLowestHotelPrices] Throws when more than 62 days are requested', (t) => {
+test('[getLowestHotelPrices] Throws when endDate is before startDate', (t) => {
   const trippe = new Trippe(process.env.API_KEY)
 
   t.throws(() => {
     trippe.getLowestHotelPrices('ANRAW', {
-      startDate: '2023-01-01',
-      endDate: '2023-12-31'
+      startDate: '2030-12-31',
+      endDate: '2030-01-01'
     })
   }, {
-    message: 'Please limit the number of days to 62 or less'
+    message: 'endDate should not be before startDate'
   })
 })
 
@@ -107,6 +410,341 @@ test('[getLowestHotelPrices] Gets correctly formatted hotel prices', async (t) =
   const hotelPrices = await trippe.getLowestHotelPrices('ANRAW', {})
 
   t.is(62, hotelPrices.prices.length)
+  t.deepEqual(hotelPrices.errors, [])
+})
+
+test('[getLowestHotelPrices] Merges periods longer than 62 days into a single calendar', async (t) => {
+  const requests = []
+
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport((request) => {
+      requests.push(request)
+
+      // Earlier periods answer last, so the calendar can't rely on the order of the responses
+      const delay = 30 - requests.length * 10
+      return new Promise(resolve => setTimeout(resolve, delay)).then(() => mockWindows(request, (hotelCode, date) => dayjs(date).date()))
+    })
+  })
+
+  const hotelPrices = await trippe.getLowestHotelPrices('ANRAW', { startDate: '2030-03-01', endDate: '2030-07-28', concurrency: 3 })
+
+  t.deepEqual(requests.map(request => getWindowParams(request)), [
+    { hotelCodes: 'ANRAW', startDate: '2030-03-01', endDate: '2030-05-01', lengthOfStay: '1' },
+    { hotelCodes: 'ANRAW', startDate: '2030-05-02', endDate: '2030-07-02', lengthOfStay: '1' },
+    { hotelCodes: 'ANRAW', startDate: '2030-07-03', endDate: '2030-07-28', lengthOfStay: '1' }
+  ])
+
+  const dates = Array.from({ length: 150 }, (u, i) => dayjs('2030-03-01').add(i, 'day').format('YYYY-MM-DD'))
+  t.deepEqual(hotelPrices.prices.map(price => price.checkinDate), dates)
+  t.deepEqual(hotelPrices.prices.map(price => price.cashPrice), dates.map(date => dayjs(date).date()))
+  t.deepEqual(hotelPrices.errors, [])
+})
+
+test('[getLowestHotelPrices] Throws when lengthOfStay is invalid', (t) => {
+  const trippe = new Trippe(process.env.API_KEY)
+
+  for (const lengthOfStay of [0, 1.5, [7, 2], [2, 7, 9]]) {
+    t.throws(() => {
+      trippe.getLowestHotelPrices('ANRAW', { lengthOfStay })
+    }, {
+      message: 'Invalid value for lengthOfStay (should be a number of nights between 1 and 30 or a range such as [2, 7])'
+    })
+  }
+})
+
+test('[getLowestHotelPrices] Gets prices for a range of lengths of stay', async (t) => {
+  const requests = []
+
+  // Every single night can be booked except the last one, stays of 2 nights only from the first day, stays of 3 nights never
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport((request) => {
+      requests.push(request)
+      return mockWindows(request, (hotelCode, date, lengthOfStay) => {
+        if (lengthOfStay === 1) return date < '2030-03-05' ? 100 : null
+        return lengthOfStay === 2 && date === '2030-03-01' ? 200 : null
+      })
+    })
+  })
+
+  const hotelPrices = await trippe.getLowestHotelPrices('ANRAW', { startDate: '2030-03-01', endDate: '2030-03-03', lengthOfStay: [2, 3] })
+
+  // Single nights are searched up to the check out date of the longest stay
+  t.deepEqual(requests.map(request => getWindowParams(request)), [
+    { hotelCodes: 'ANRAW', startDate: '2030-03-01', endDate: '2030-03-03', lengthOfStay: '2' },
+    { hotelCodes: 'ANRAW', startDate: '2030-03-01', endDate: '2030-03-03', lengthOfStay: '3' },
+    { hotelCodes: 'ANRAW', startDate: '2030-03-01', endDate: '2030-03-05', lengthOfStay: '1' }
+  ])
+
+  t.deepEqual(hotelPrices.prices.map(({ checkinDate, lengthOfStay, cashPrice, isRestricted }) => ({ checkinDate, lengthOfStay, cashPrice, isRestricted })), [
+    { checkinDate: '2030-03-01', lengthOfStay: 2, cashPrice: 200, isRestricted: false },
+    { checkinDate: '2030-03-01', lengthOfStay: 3, cashPrice: null, isRestricted: true },
+    { checkinDate: '2030-03-02', lengthOfStay: 2, cashPrice: null, isRestricted: true },
+    { checkinDate: '2030-03-02', lengthOfStay: 3, cashPrice: null, isRestricted: true },
+    { checkinDate: '2030-03-03', lengthOfStay: 2, cashPrice: null, isRestricted: true },
+    { checkinDate: '2030-03-03', lengthOfStay: 3, cashPrice: null, isRestricted: false }
+  ])
+})
+
+test('[getLowestHotelPrices] Throws when rateCodes are invalid', (t) => {
+  const trippe = new Trippe(process.env.API_KEY)
+
+  for (const rateCodes of ['corporate', [], ['IVANI', 42]]) {
+    t.throws(() => {
+      trippe.getLowestHotelPrices('ANRAW', { rateCodes })
+    }, {
+      message: 'Invalid value for rateCodes (should be a list of rate codes or one of reward, member, public, all)'
+    })
+  }
+})
+
+test('[getLowestMultiHotelPrices] Throws when no hotelCodes are provided', (t) => {
+  const trippe = new Trippe(process.env.API_KEY)
+
+  t.throws(() => {
+    trippe.getLowestMultiHotelPrices([])
+  }, {
+    message: 'hotelCodes should be a non-empty array of hotelCodes'
+  })
+
+  t.throws(() => {
+    trippe.getLowestMultiHotelPrices('ANRAW')
+  }, {
+    message: 'hotelCodes should be a non-empty array of hotelCodes'
+  })
+})
+
+test('[getLowestMultiHotelPrices] Searches hotels in groups of 10 and flags unknown hotelCodes without failing the batch', async (t) => {
+  const requests = []
+  const hotelCodes = [...Array.from({ length: 11 }, (u, i) => `HOT${String.fromCharCode(65 + i)}`), 'X']
+
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport((request) => {
+      requests.push(request)
+
+      // The API answers with an empty currencyCode for unknown hotels
+      const response = mockWindows(request, (hotelCode) => hotelCode === 'X' ? null : hotelCodes.indexOf(hotelCode) + 100)
+      return { hotels: response.hotels.map(hotel => hotel.hotelCode === 'X' ? { ...hotel, currencyCode: '' } : hotel) }
+    })
+  })
+
+  const hotelPrices = await trippe.getLowestMultiHotelPrices(hotelCodes, { startDate: '2030-03-01', endDate: '2030-03-02' })
+
+  t.deepEqual(requests.map(request => getWindowParams(request).hotelCodes), [
+    hotelCodes.slice(0, 10).join(','),
+    hotelCodes.slice(10).join(',')
+  ])
+
+  t.deepEqual(hotelPrices.map(hotel => hotel.hotelCode), hotelCodes)
+  t.deepEqual(hotelPrices.slice(0, 11).map(hotel => hotel.prices.map(price => price.cashPrice)), hotelCodes.slice(0, 11).map((u, i) => [i + 100, i + 100]))
+  t.true(hotelPrices.slice(0, 11).every(hotel => hotel.isValid))
+  t.false(hotelPrices[11].isValid)
+  t.deepEqual(hotelPrices[11].prices, [])
+})
+
+test('[getLowestMultiHotelPrices] Matches hotels by hotelCode and flags hotels missing from the response', async (t) => {
+  const window = (amount) => ({ ratePlanCode: 'IGCOR', windows: [{ startDate: '2030-03-01T00:00:00Z', totalAmount: amount }] })
+
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport(() => ({
+      hotels: [
+        { hotelCode: 'BRUAP', currencyCode: 'EUR', rates: [window(120)] },
+        { hotelCode: 'ANRAW', currencyCode: 'EUR', rates: [window(150)] }
+      ]
+    }))
+  })
+
+  const hotelPrices = await trippe.getLowestMultiHotelPrices(['ANRAW', 'ANTHI', 'BRUAP'], { startDate: '2030-03-01', endDate: '2030-03-01' })
+
+  t.deepEqual(hotelPrices.map(hotel => hotel.hotelCode), ['ANRAW', 'ANTHI', 'BRUAP'])
+  t.is(hotelPrices[0].prices[0].cashPrice, 150)
+  t.is(hotelPrices[2].prices[0].cashPrice, 120)
+  t.false(hotelPrices[1].isValid)
+  t.deepEqual(hotelPrices[1].prices, [])
+  t.deepEqual(hotelPrices[1].errors, [{ startDate: '2030-03-01', endDate: '2030-03-01', message: 'Unknown or invalid hotelCode' }])
+})
+
+test('[getSplitStayPlan] Mixes hotels, points and cash nights into the cheapest plan', async (t) => {
+  const window = (date, key, value) => ({ startDate: `${date}T00:00:00Z`, [key]: value })
+
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport(() => ({
+      hotels: [
+        {
+          hotelCode: 'ANRAW',
+          currencyCode: 'EUR',
+          rates: [
+            { ratePlanCode: 'IGCOR', windows: [window('2030-03-01', 'totalAmount', 100), window('2030-03-02', 'totalAmount', 200), window('2030-03-03', 'totalAmount', 100)] },
+            { ratePlanCode: 'IVANI', windows: [window('2030-03-01', 'totalPoints', 20000), window('2030-03-03', 'totalPoints', 15000)] }
+          ]
+        },
+        {
+          hotelCode: 'ANTHI',
+          currencyCode: 'EUR',
+          rates: [{ ratePlanCode: 'IGCOR', windows: [window('2030-03-02', 'totalAmount', 120)] }]
+        }
+      ]
+    }))
+  })
+
+  const plan = await trippe.getSplitStayPlan(['ANRAW', 'ANTHI'], {
+    checkinDate: '2030-03-01',
+    checkoutDate: '2030-03-04',
+    pointsBudget: 20000,
+    pointValue: 0.004,
+    switchPenalty: 10
+  })
+
+  t.is(plan.totalCost, 300)
+  t.is(plan.totalCashPrice, 220)
+  t.is(plan.totalPoints, 15000)
+  t.is(plan.numberOfSwitches, 2)
+  t.deepEqual(plan.segments.map(({ hotelCode, payWith, checkinDate, checkoutDate }) => [hotelCode, payWith, checkinDate, checkoutDate]), [
+    ['ANRAW', 'cash', '2030-03-01', '2030-03-02'],
+    ['ANTHI', 'cash', '2030-03-02', '2030-03-03'],
+    ['ANRAW', 'points', '2030-03-03', '2030-03-04']
+  ])
+  t.is(plan.segments[1].bookingUrl, trippe.getBookingPageUrl('ANTHI', { checkinDate: '2030-03-02', checkoutDate: '2030-03-03' }))
+  t.is(plan.segments[2].bookingUrl, trippe.getBookingPageUrl('ANRAW', { checkinDate: '2030-03-03', checkoutDate: '2030-03-04', rewardNights: true }))
+})
+
+test('[getSplitStayPlan] Adds up converted prices when the hotels use different currencies', async (t) => {
+  const window = (date, totalAmount) => ({ ratePlanCode: 'IGCOR', windows: [{ startDate: `${date}T00:00:00Z`, totalAmount }] })
+
+  const trippe = new Trippe('API_KEY', {
+    targetCurrency: 'EUR',
+    exchangeRates: new StaticRateProvider({ EUR: 0.8, JPY: 160 }),
+    transport: mockTransport(() => ({
+      hotels: [
+        { hotelCode: 'TYOHB', currencyCode: 'JPY', rates: [window('2030-03-01', 10000)] },
+        { hotelCode: 'ANRAW', currencyCode: 'EUR', rates: [window('2030-03-02', 120)] }
+      ]
+    }))
+  })
+
+  const plan = await trippe.getSplitStayPlan(['TYOHB', 'ANRAW'], { checkinDate: '2030-03-01', checkoutDate: '2030-03-03' })
+
+  t.is(plan.currencyCode, 'EUR')
+  t.is(plan.totalCashPrice, 170)
+  t.deepEqual(plan.nights, [
+    { date: '2030-03-01', hotelCode: 'TYOHB', payWith: 'cash', currencyCode: 'JPY', cashPrice: 10000, convertedCashPrice: 50, points: null },
+    { date: '2030-03-02', hotelCode: 'ANRAW', payWith: 'cash', currencyCode: 'EUR', cashPrice: 120, convertedCashPrice: 120, points: null }
+  ])
+})
+
+test('[getLowestMultiHotelPrices] Filters hotels by brand tier', async (t) => {
+  const brandCodes = { ANRAW: 'HICP', ANTHI: 'HIEX' }
+
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport((request) => {
+      if (request.url.includes('/profiles/')) {
+        const brandCode = brandCodes[request.url.split('/')[6]]
+        return { hotelInfo: { brandInfo: { brandCode }, location: {}, profile: { latLong: {} }, address: { state: {}, country: {} } } }
+      }
+
+      return { hotels: Object.keys(brandCodes).map(hotelCode => ({ hotelCode, currencyCode: 'EUR', rates: [] })) }
+    })
+  })
+
+  const hotelPrices = await trippe.getLowestMultiHotelPrices(['ANRAW', 'ANTHI'], { endDate: dayjs().add(1, 'day').format('YYYY-MM-DD'), filter: { brandTiers: ['premium'] } })
+
+  t.deepEqual(hotelPrices.map(hotel => hotel.hotelCode), ['ANRAW'])
+})
+
+test('[getLowestHotelPrices] Filters the hotel by brand', async (t) => {
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport((request) => {
+      if (request.url.includes('/profiles/')) {
+        return { hotelInfo: { brandInfo: { brandCode: 'HIEX' }, location: {}, profile: { latLong: {} }, address: { state: {}, country: {} } } }
+      }
+
+      return { hotels: [{ hotelCode: 'ANTHI', currencyCode: 'EUR', rates: [] }] }
+    })
+  })
+
+  const options = { startDate: '2030-03-01', endDate: '2030-03-01' }
+
+  t.is((await trippe.getLowestHotelPrices('ANTHI', { ...options, filter: { brandTiers: ['essentials'] } })).hotelCode, 'ANTHI')
+  t.is(await trippe.getLowestHotelPrices('ANTHI', { ...options, filter: { brandTiers: ['premium'] } }), null)
+  t.throws(() => trippe.getLowestHotelPrices('ANTHI', { ...options, filter: { maxPoints: 10000 } }), {
+    message: 'Invalid value for filter (should be an object with brandCodes and brandTiers arrays)'
+  })
+})
+
+test('[getLowestHotelPrices] Parses windows into a calendar', async (t) => {
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport(() => ({
+      hotels: [{
+        hotelCode: 'ANRAW',
+        currencyCode: 'EUR',
+        rates: [
+          { ratePlanCode: 'IGCOR', windows: [{ startDate: '2030-03-01T00:00:00Z', totalAmount: 150 }] },
+          { ratePlanCode: 'IDME0', windows: [{ startDate: '2030-03-01T00:00:00Z', totalAmount: 135 }] },
+          { ratePlanCode: 'IVANI', windows: [{ startDate: '2030-03-02T00:00:00Z', totalPoints: 30000 }] }
+        ]
+      }]
+    }))
+  })
+
+  const hotelPrices = await trippe.getLowestHotelPrices('ANRAW', { startDate: '2030-03-01', endDate: '2030-03-02' })
+
+  t.deepEqual(hotelPrices, {
+    hotelCode: 'ANRAW',
+    currencyCode: 'EUR',
+    prices: [
+      { checkinDate: '2030-03-01', lengthOfStay: 1, cashPrice: 135, points: null, cashRateCode: 'IDME0', pointsRateCode: null, isRestricted: false },
+      { checkinDate: '2030-03-02', lengthOfStay: 1, cashPrice: null, points: 30000, cashRateCode: null, pointsRateCode: 'IVANI', isRestricted: false }
+    ],
+    errors: []
+  })
+})
+
+test('[getLowestHotelPrices] Reports failed periods as partial errors', async (t) => {
+  const trippe = new Trippe('API_KEY', {
+    retry: { limit: 0 },
+    transport: mockTransport((request) => {
+      const startDate = new URL(request.url).searchParams.get('startDate')
+      return startDate === '2030-03-01T00:00:00Z'
+        ? { hotels: [{ hotelCode: 'ANRAW', currencyCode: 'EUR', rates: [] }] }
+        : [503, {}]
+    })
+  })
+
+  const hotelPrices = await trippe.getLowestHotelPrices('ANRAW', { startDate: '2030-03-01', endDate: '2030-05-31' })
+
+  t.is(hotelPrices.prices.length, 62)
+  t.deepEqual(hotelPrices.errors, [{
+    startDate: '2030-05-02',
+    endDate: '2030-05-31',
+    lengthOfStay: 1,
+    message: 'API reports a server error (statusCode 503)'
+  }])
+})
+
+test('[getLowestHotelPrices] Rejects with an AuthenticationError when the apiKey is refused', async (t) => {
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport(() => [401, { errors: [{ code: 'UNAUTHORIZED', message: 'Invalid key' }] }])
+  })
+
+  const error = await t.throwsAsync(trippe.getLowestHotelPrices('ANRAW', { startDate: '2030-03-01', endDate: '2030-03-02' }), {
+    instanceOf: AuthenticationError,
+    message: 'API rejected the apiKey (statusCode 401)'
+  })
+
+  t.is(error.statusCode, 401)
+  t.deepEqual(error.apiErrorCodes, ['UNAUTHORIZED'])
+  t.is(error.methodName, 'getLowestHotelPrices')
+  t.is(error.params.hotelCode, 'ANRAW')
+})
+
+test('[getLowestHotelPrices] Rejects with an InvalidHotelCodeError for unknown hotelCodes', async (t) => {
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport(() => ({ hotels: [{ hotelCode: 'X', currencyCode: '', rates: [] }] }))
+  })
+
+  await t.throwsAsync(trippe.getLowestHotelPrices('X', {}), {
+    instanceOf: InvalidHotelCodeError,
+    message: 'Unknown or invalid hotelCode'
+  })
 })
 
 test('[getLowestAreaPrices] Throws when no or invalid coordinates are provided', (t) => {
@@ -129,6 +767,34 @@ test('[getLowestAreaPrices] Throws when no or invalid coordinates are provided',
   }, {
     message: 'Invalid format used for coordinates, please use [lng, lat]'
   })
+
+  t.throws(() => {
+    trippe.getLowestAreaPrices([NaN, 951])
+  }, {
+    instanceOf: ValidationError,
+    message: 'Invalid format used for coordinates, please use [lng, lat]'
+  })
+
+  for (const coordinates of [[181, 50], [4.4, -91]]) {
+    t.throws(() => {
+      trippe.getLowestAreaPrices(coordinates)
+    }, {
+      instanceOf: ValidationError,
+      message: 'Invalid value for coordinates (longitude should be between -180 and 180, latitude between -90 and 90)'
+    })
+  }
+})
+
+test('[getLowestAreaPrices] Throws when unit or radius are invalid', (t) => {
+  const trippe = new Trippe('API_KEY')
+
+  for (const unit of [5, 'miles']) {
+    t.throws(() => trippe.getLowestAreaPrices([4.4, 51.2], { unit }), { instanceOf: ValidationError, message: 'Invalid value for unit (should be mi or km)' })
+  }
+
+  for (const radius of ['far', -5, 0, 101, NaN]) {
+    t.throws(() => trippe.getLowestAreaPrices([4.4, 51.2], { radius }), { instanceOf: ValidationError, message: 'Invalid value for radius (should be a number greater than 0 and at most 100)' })
+  }
 })
 
 test('[getLowestAreaPrices] Throws when checkinDate is incorrect', async (t) => {
@@ -150,6 +816,100 @@ test('[getLowestAreaPrices] Gets correctly formatted hotel prices', async (t) =>
   t.false(hotelPrices.length === 0)
 })
 
+test('[getLowestAreaPrices] Adds hotel details, filters and sorts hotels', async (t) => {
+  const profiles = {
+    ANRAW: { brandCode: 'HICP', name: 'Antwerp', latLong: { longitude: 4.4, latitude: 51.2 } },
+    BRUHA: { brandCode: 'HOLI', name: 'Brussels', latLong: { longitude: 4.35, latitude: 50.85 } },
+    GNTHB: { brandCode: 'HICP', name: 'Ghent', latLong: { longitude: 3.72, latitude: 51.05 } }
+  }
+
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport((request) => {
+      if (request.method === 'POST') {
+        return {
+          hotels: [
+            { hotelMnemonic: 'GNTHB', availabilityStatus: 'OPEN', propertyCurrency: 'EUR', lowestCashOnlyCost: { amountAfterTax: '90' }, lowestPointsOnlyCost: { points: 25000 } },
+            { hotelMnemonic: 'BRUHA', availabilityStatus: 'OPEN', propertyCurrency: 'EUR', lowestCashOnlyCost: { amountAfterTax: '80' } },
+            { hotelMnemonic: 'ANRAW', availabilityStatus: 'CLOSED', propertyCurrency: 'EUR' }
+          ]
+        }
+      }
+
+      const hotelCode = request.url.split('/')[6]
+      const { brandCode, name, latLong } = profiles[hotelCode]
+      return { hotelInfo: { brandInfo: { brandCode }, location: {}, profile: { name, latLong }, address: { state: {}, country: { code: 'BE' } } } }
+    })
+  })
+
+  const hotels = await trippe.getLowestAreaPrices([4.4, 51.2], { unit: 'km', includeSoldOut: true, sortBy: 'distance' })
+
+  t.deepEqual(hotels.map(hotel => [hotel.hotelCode, hotel.availabilityStatus, hotel.brandName, hotel.distance]), [
+    ['ANRAW', 'CLOSED', 'Crowne Plaza', 0],
+    ['BRUHA', 'OPEN', 'Holiday Inn', 39.1],
+    ['GNTHB', 'OPEN', 'Crowne Plaza', 50.3]
+  ])
+
+  const crownePlazas = await trippe.getLowestAreaPrices([4.4, 51.2], { filter: { brandCodes: ['HICP'], maxPoints: 30000 } })
+
+  t.deepEqual(crownePlazas.map(hotel => hotel.hotelCode), ['GNTHB'])
+})
+
+test('[getAreaPriceMatrix] Combines area searches into a matrix with the lowest prices per hotel and night', async (t) => {
+  const offers = {
+    '2030-03-01': [['ANRAW', '120', 30000], ['ANTHI', '100', null]],
+    '2030-03-02': [['ANRAW', '90', 35000]],
+    '2030-03-03': [503, {}]
+  }
+
+  const trippe = new Trippe('API_KEY', {
+    retry: { limit: 0 },
+    transport: mockTransport(({ json }) => {
+      const offer = offers[json.startDate]
+      if (typeof offer[0] === 'number') return offer
+
+      return {
+        hotels: offer.map(([hotelMnemonic, amountAfterTax, points]) => ({
+          hotelMnemonic,
+          availabilityStatus: 'OPEN',
+          propertyCurrency: 'EUR',
+          lowestCashOnlyCost: { amountAfterTax },
+          lowestPointsOnlyCost: points ? { points } : undefined
+        }))
+      }
+    })
+  })
+
+  const matrix = await trippe.getAreaPriceMatrix([4.4, 51.2], { startDate: '2030-03-01', endDate: '2030-03-03' })
+
+  t.deepEqual(matrix.dates, ['2030-03-01', '2030-03-02', '2030-03-03'])
+  t.deepEqual(matrix.hotels.map(hotel => hotel.prices.map(price => price.cashPrice)), [[120, 90, null], [100, null, null]])
+  t.deepEqual(matrix.hotels[0].lowestCashPrice, { checkinDate: '2030-03-02', cashPrice: 90 })
+  t.deepEqual(matrix.hotels[0].lowestPoints, { checkinDate: '2030-03-01', points: 30000 })
+  t.deepEqual(matrix.nights[0].lowestCashPrice, { hotelCode: 'ANTHI', cashPrice: 100, currencyCode: 'EUR' })
+  t.is(matrix.nights[2].numberOfHotels, 0)
+  t.deepEqual(matrix.errors, [{ checkinDate: '2030-03-03', message: 'API reports a server error (statusCode 503)' }])
+})
+
+test('[getAreaPriceMatrix] Throws when options are invalid', async (t) => {
+  const trippe = new Trippe('API_KEY')
+
+  await t.throwsAsync(trippe.getAreaPriceMatrix([4.4, 51.2], { radius: 200 }), {
+    instanceOf: ValidationError,
+    message: 'Invalid value for radius (should be a number greater than 0 and at most 100)'
+  })
+})
+
+test('[getLowestAreaPrices] Throws when sortBy is invalid', (t) => {
+  const trippe = new Trippe('API_KEY')
+
+  t.throws(() => {
+    trippe.getLowestAreaPrices([4.4, 51.2], { sortBy: 'name' })
+  }, {
+    instanceOf: ValidationError,
+    message: 'Invalid value for sortBy (should be one of distance, points or cashPrice)'
+  })
+})
+
 test('[getStayPrices] Throws when invalid or unknown hotelCode is provided', async (t) => {
   const trippe = new Trippe(process.env.API_KEY)
 
@@ -172,6 +932,758 @@ test('[getStayPrices] Throws when checkinDate is incorrect', async (t) => {
   })
 })
 
+test('[getStayPrices] Throws a ValidationError when hotelCode is missing', (t) => {
+  const trippe = new Trippe('API_KEY')
+
+  const error = t.throws(() => {
+    trippe.getStayPrices()
+  }, {
+    instanceOf: ValidationError,
+    message: 'hotelCode is required'
+  })
+
+  t.is(error.methodName, 'getStayPrices')
+})
+
+test('[getStayPrices] Validates checkoutDate and guests with the same messages as other methods', (t) => {
+  const trippe = new Trippe('API_KEY')
+
+  t.throws(() => trippe.getStayPrices('ANRAW', { checkinDate: '2030-03-01', checkoutDate: '2030-3-2' }), {
+    instanceOf: ValidationError,
+    message: 'Invalid value for checkoutDate (should be formatted as YYYY-MM-DD)'
+  })
+
+  t.throws(() => trippe.getStayPrices('ANRAW', { checkinDate: '2030-03-01', checkoutDate: '2030-03-01' }), { message: 'checkoutDate should be after checkinDate' })
+  t.throws(() => trippe.getStayPrices('ANRAW', { adults: -1 }), { message: 'Invalid value for adults (should be a whole number of at least 1)' })
+  t.throws(() => trippe.getLowestAreaPrices([4.4, 51.2], { children: 1.5 }), { message: 'Invalid value for children (should be a whole number of at least 0)' })
+  t.throws(() => trippe.getLowestHotelPrices('ANRAW', { endDate: '31-12-2030' }), { message: 'Invalid value for endDate (should be formatted as YYYY-MM-DD)' })
+  t.throws(() => trippe.getDestinations(42), { message: 'Invalid value for query (should be a string of 3 characters or more)' })
+})
+
+test('[getStayPrices] Rejects check-in dates in the past at the hotel without searching', async (t) => {
+  const paths = []
+
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport((request) => {
+      paths.push(new URL(request.url).pathname)
+      return { hotelInfo: { brandInfo: { brandCode: 'HICP' }, location: { timeZone: 'Pacific/Kiritimati' }, profile: { latLong: {} }, address: { state: {}, country: {} } } }
+    })
+  })
+
+  const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'Pacific/Kiritimati', year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date())
+  const yesterday = dayjs(today).subtract(1, 'day').format('YYYY-MM-DD')
+
+  await t.throwsAsync(trippe.getStayPrices('ANRAW', { checkinDate: yesterday }), {
+    instanceOf: ValidationError,
+    message: `checkinDate should not be before today at the hotel (${today})`
+  })
+
+  t.deepEqual(paths, ['/hotels/v1/profiles/ANRAW/details'])
+})
+
+test('[getLowestHotelPrices] Starts at today at the hotel and leaves out days in the past', async (t) => {
+  const searches = []
+
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport((request) => {
+      if (request.url.includes('/profiles/')) {
+        return { hotelInfo: { brandInfo: { brandCode: 'HICP' }, location: { timeZone: 'Pacific/Kiritimati' }, profile: { latLong: {} }, address: { state: {}, country: {} } } }
+      }
+
+      searches.push(new URL(request.url).searchParams.get('startDate'))
+      return { hotels: [{ hotelCode: 'ANRAW', currencyCode: 'EUR', rates: [] }] }
+    })
+  })
+
+  const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'Pacific/Kiritimati', year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date())
+  const defaultPrices = await trippe.getLowestHotelPrices('ANRAW')
+  const clampedPrices = await trippe.getLowestHotelPrices('ANRAW', { startDate: '2020-01-01', endDate: today })
+
+  t.is(defaultPrices.prices[0].checkinDate, today)
+  t.is(defaultPrices.prices.length, 62)
+  t.deepEqual(clampedPrices.prices.map(price => price.checkinDate), [today])
+  t.deepEqual(searches, [`${today}T00:00:00Z`, `${today}T00:00:00Z`])
+})
+
+test('[getLowestHotelPrices] Looks up the hotel once through the cache, even for fresh prices', async (t) => {
+  const paths = []
+  const cache = { store: new FileStore(await mkdtemp(join(tmpdir(), 'trippe-'))) }
+
+  const transport = mockTransport((request) => {
+    paths.push(new URL(request.url).pathname)
+
+    if (request.url.includes('/profiles/')) {
+      return { hotelInfo: { brandInfo: { brandCode: 'HICP' }, location: { timeZone: 'Europe/Brussels' }, profile: { latLong: { longitude: 4.4 } }, address: { state: {}, country: {} } } }
+    }
+
+    return { hotels: [{ hotelCode: 'ANRAW', currencyCode: 'EUR', rates: [] }] }
+  })
+
+  // A second client sharing the store, e.g. after a restart, doesn't look the hotel up again
+  await new Trippe('API_KEY', { cache, transport }).getLowestHotelPrices('ANRAW', { fresh: true })
+  await new Trippe('API_KEY', { cache, transport }).getLowestHotelPrices('ANRAW', { fresh: true })
+
+  t.deepEqual(paths, ['/hotels/v1/profiles/ANRAW/details', '/availability/v1/windows', '/availability/v1/windows'])
+})
+
+test('[getStayPrices] Uses the same date as area searches for hotels without a time zone', async (t) => {
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport(() => ({ hotelInfo: { brandInfo: { brandCode: 'HICP' }, location: {}, profile: { latLong: { longitude: -157.4, latitude: 1.9 } }, address: { state: {}, country: {} } } }))
+  })
+
+  const hotelError = await t.throwsAsync(trippe.getStayPrices('ANRAW', { checkinDate: '2000-01-01' }), { instanceOf: ValidationError })
+  const areaError = t.throws(() => trippe.getLowestAreaPrices([-157.4, 1.9], { checkinDate: '2000-01-01' }), { instanceOf: ValidationError })
+
+  const today = new Date(Date.now() - 10 * 60 * 60 * 1000).toISOString().slice(0, 10)
+  t.is(hotelError.message, `checkinDate should not be before today at the hotel (${today})`)
+  t.is(areaError.message, `checkinDate should not be before today in the area (${today})`)
+})
+
+test('[constructor] Throws when concurrency is invalid', (t) => {
+  const trippe = new Trippe('API_KEY')
+
+  for (const concurrency of [NaN, 0, 1.5, '4']) {
+    t.throws(() => trippe.getLowestHotelPrices('ANRAW', { concurrency }), { message: 'Invalid value for concurrency (should be a whole number of at least 1)' })
+    t.throws(() => trippe.getLowestMultiHotelPrices(['ANRAW'], { concurrency }), { message: 'Invalid value for concurrency (should be a whole number of at least 1)' })
+    t.throws(() => trippe.getSplitStayPlan(['ANRAW'], { checkinDate: '2030-03-01', checkoutDate: '2030-03-03', concurrency }), { message: 'Invalid value for concurrency (should be a whole number of at least 1)' })
+    t.throws(() => trippe.getLowestAreaPrices([4.4, 51.2], { concurrency }), { message: 'Invalid value for concurrency (should be a whole number of at least 1)' })
+    t.throws(() => trippe.getAreaPriceMatrix([4.4, 51.2], { concurrency }), { message: 'Invalid value for concurrency (should be a whole number of at least 1)' })
+    t.throws(() => trippe.getMultiHotelDetails(['ANRAW'], { concurrency }), { message: 'Invalid value for concurrency (should be a whole number of at least 1)' })
+    t.throws(() => trippe.iterateHotelDetails(['ANRAW'], { concurrency }), { message: 'Invalid value for concurrency (should be a whole number of at least 1)' })
+  }
+})
+
+test('[getStayPrices] Rejects with a NoAvailabilityError carrying the API error codes', async (t) => {
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport(() => [400, { errors: [{ code: 'CRS_50025', message: 'No availability' }] }])
+  })
+
+  const error = await t.throwsAsync(trippe.getStayPrices('ANRAW', { checkinDate: '2030-03-01' }), {
+    instanceOf: NoAvailabilityError,
+    message: 'No availability for your search'
+  })
+
+  t.is(error.statusCode, 400)
+  t.deepEqual(error.apiErrorCodes, ['CRS_50025'])
+  t.is(error.params.checkinDate, '2030-03-01')
+})
+
+test('[getStayPrices] Throws when rooms are invalid', (t) => {
+  const trippe = new Trippe('API_KEY')
+
+  t.throws(() => {
+    trippe.getStayPrices('ANRAW', { rooms: [{ adults: 0 }] })
+  }, {
+    instanceOf: ValidationError,
+    message: 'Invalid value for rooms (should be an array of 1 to 9 objects with a number of adults of at least 1 and a number of children)'
+  })
+})
+
+test('[getStayPrices] Throws when cancelAfter is not an ISO 8601 date or datetime', (t) => {
+  const trippe = new Trippe('API_KEY')
+
+  for (const cancelAfter of ['February 1, 2030', 5, '2030-02-30', '2030-02-01 18:00']) {
+    t.throws(() => {
+      trippe.getStayPrices('ANRAW', { checkinDate: '2030-03-01', filter: { cancelAfter } })
+    }, {
+      instanceOf: ValidationError,
+      message: 'Invalid value for filter (should be an object with refundable, depositRequired and mealsIncluded booleans and a cancelAfter date or datetime in ISO 8601 format)'
+    })
+  }
+})
+
+test('[getStayPrices] Prices several rooms with totals and a per-night breakdown', async (t) => {
+  const requests = []
+  const room = (average, beforeTax, afterTax) => ({
+    inventoryTypeCode: 'KNGN',
+    rates: {
+      totalRate: { average: { amountAfterTax: average }, amountBeforeTax: beforeTax, amountAfterTax: afterTax },
+      dailyRates: [
+        { startDate: '2030-03-01', endDate: '2030-03-02', amountBeforeTax: beforeTax / 2 - 10, amountAfterTax: afterTax / 2 - 10 },
+        { startDate: '2030-03-02', endDate: '2030-03-03', amountBeforeTax: beforeTax / 2 + 10, amountAfterTax: afterTax / 2 + 10 }
+      ]
+    }
+  })
+
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport((request) => {
+      requests.push(request)
+      return {
+        hotels: [{
+          propertyCurrency: 'EUR',
+          productDefinitions: [],
+          ratePlanDefinitions: [],
+          rateDetails: {
+            offers: [
+              { ratePlanCode: 'IGCOR', productUses: [room('110', '200', '220'), room('132', '240', '264')] },
+              { ratePlanCode: 'IVANI', productUses: [{ inventoryTypeCode: 'KNGN' }], rewardNights: { pointsOnly: { averageDailyPoints: 40000 } } }
+            ]
+          }
+        }]
+      }
+    })
+  })
+
+  const stayPrices = await trippe.getStayPrices('ANRAW', {
+    checkinDate: '2030-03-01',
+    checkoutDate: '2030-03-03',
+    rooms: [{ adults: 2, children: 1 }, { adults: 2 }]
+  })
+
+  t.deepEqual(requests[0].json.products.map(product => product.guestCounts.map(guestCount => guestCount.count)), [[2, 1], [2, 0]])
+
+  // Prices are per room, like the points of reward rates, the totals cover all rooms
+  const [cashPrice, rewardPrice] = stayPrices.prices
+  t.is(cashPrice.cashPrice, 121)
+  t.is(cashPrice.totalBeforeTax, 220)
+  t.is(cashPrice.totalAfterTax, 242)
+  t.is(cashPrice.taxesAndFees, 22)
+  t.is(cashPrice.totalCashPrice, 484)
+  t.is(cashPrice.totalPoints, null)
+  t.deepEqual(cashPrice.nights, [
+    { date: '2030-03-01', amountBeforeTax: 100, amountAfterTax: 111 },
+    { date: '2030-03-02', amountBeforeTax: 120, amountAfterTax: 131 }
+  ])
+  t.is(rewardPrice.totalCashPrice, null)
+  t.is(rewardPrice.totalPoints, 160000)
+  t.deepEqual(rewardPrice.points, [{ points: 40000, cashPrice: 0, totalPoints: 160000, totalCashPrice: 0 }])
+})
+
+test('[getStayPrices] Parses rate policies and filters prices by them', async (t) => {
+  const offer = (ratePlanCode, policies) => ({
+    ratePlanCode,
+    policies,
+    productUses: [{ inventoryTypeCode: 'KNGN', rates: { totalRate: { average: { amountAfterTax: '100' }, amountBeforeTax: '90', amountAfterTax: '100' } } }]
+  })
+
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport(() => ({
+      hotels: [{
+        propertyCurrency: 'EUR',
+        productDefinitions: [],
+        ratePlanDefinitions: [],
+        rateDetails: {
+          offers: [
+            offer('IGCOR', { cancellationNoShow: { deadline: '2030-02-28T18:00:00' }, guarantee: { type: 'CREDIT_CARD' }, mealPlan: { breakfastIncluded: false } }),
+            offer('IDAP1', { cancellationNoShow: { refundable: false }, deposit: { required: true }, mealPlan: { breakfastIncluded: true } }),
+            offer('IDME0', undefined)
+          ]
+        }
+      }]
+    }))
+  })
+
+  const stayPrices = await trippe.getStayPrices('ANRAW', { checkinDate: '2030-03-01', rateCodes: 'all' })
+
+  t.deepEqual(stayPrices.prices.map(({ rateCode, refundable, cancelBy, depositRequired, mealsIncluded }) => ({ rateCode, refundable, cancelBy, depositRequired, mealsIncluded })), [
+    { rateCode: 'IGCOR', refundable: true, cancelBy: '2030-02-28T18:00:00', depositRequired: false, mealsIncluded: false },
+    { rateCode: 'IDAP1', refundable: false, cancelBy: null, depositRequired: true, mealsIncluded: true },
+    { rateCode: 'IDME0', refundable: null, cancelBy: null, depositRequired: null, mealsIncluded: null }
+  ])
+
+  const refundablePrices = await trippe.getStayPrices('ANRAW', { checkinDate: '2030-03-01', rateCodes: 'all', filter: { refundable: true, cancelAfter: '2030-02-28' } })
+
+  t.deepEqual(refundablePrices.prices.map(price => price.rateCode), ['IGCOR'])
+})
+
+test('[getStayPrices] Links bonus points and upsells to prices', async (t) => {
+  const offer = (inventoryTypeCode, amountAfterTax) => ({
+    ratePlanCode: 'IGCOR',
+    productUses: [{ inventoryTypeCode, rates: { totalRate: { average: { amountAfterTax }, amountBeforeTax: amountAfterTax, amountAfterTax } } }]
+  })
+
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport(() => ({
+      hotels: [{
+        propertyCurrency: 'EUR',
+        productDefinitions: [],
+        ratePlanDefinitions: [],
+        rateDetails: {
+          offers: [offer('KNGN', '100'), offer('KEXN', '130'), offer('SUIT', '250')],
+          bonusRates: [
+            { ratePlanCode: 'IGCOR', bonusPoints: '1000' },
+            { ratePlanCode: 'IGCOR', inventoryTypeCode: 'SUIT', bonusPoints: '2500' }
+          ],
+          upsells: [
+            { ratePlanCode: 'IGCOR', inventoryTypeCode: 'KNGN', upsellInventoryTypeCode: 'KEXN' },
+            { ratePlanCode: 'IGCOR', inventoryTypeCode: 'KNGN', upsellInventoryTypeCode: 'SUIT', upsellAmount: { amountAfterTax: '120' } }
+          ]
+        }
+      }]
+    }))
+  })
+
+  const { prices } = await trippe.getStayPrices('ANRAW', { checkinDate: '2030-03-01' })
+
+  t.deepEqual(prices.map(price => price.bonusPoints), [1000, 1000, 3500])
+  t.deepEqual(prices[0].upsells, [
+    { productCode: 'KEXN', rateCode: 'IGCOR', priceDifference: 30 },
+    { productCode: 'SUIT', rateCode: 'IGCOR', priceDifference: 120 }
+  ])
+  t.deepEqual(prices[1].upsells, [])
+})
+
+test('[analyzeRedemptions] Ranks reward offers by cents per point', (t) => {
+  const stayPrices = {
+    currency: 'EUR',
+    prices: [
+      { productCode: 'KNGN', rateCode: 'IGCOR', cashPrice: 220, points: null },
+      { productCode: 'KNGN', rateCode: 'IDME0', cashPrice: 200, points: null },
+      { productCode: 'TDBN', rateCode: 'IDME0', cashPrice: 150, points: null },
+      { productCode: 'KNGN', rateCode: 'IVANI', cashPrice: null, points: [{ points: 40000, cashPrice: 0 }, { points: 20000, cashPrice: 100 }] }
+    ]
+  }
+
+  const analysis = analyzeRedemptions(stayPrices, { productCode: 'KNGN', exchangeRates: { EUR: 0.8 } })
+
+  t.deepEqual(analysis.cashRate, { rateCode: 'IDME0', cashPrice: 200, hotelCurrencyCode: 'EUR', convertedCashPrice: 250 })
+  t.deepEqual(analysis.redemptions, [
+    { rank: 1, rateCode: 'IVANI', points: 20000, copay: 100, cashSaved: 150, centsPerPoint: 0.75 },
+    { rank: 2, rateCode: 'IVANI', points: 40000, copay: 0, cashSaved: 250, centsPerPoint: 0.63 }
+  ])
+})
+
+test('[analyzeRedemptions] Compares cash and reward rates per room when booking several rooms', async (t) => {
+  const room = (amountAfterTax) => ({ inventoryTypeCode: 'KNGN', rates: { totalRate: { average: { amountAfterTax }, amountBeforeTax: amountAfterTax, amountAfterTax } } })
+
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport(() => ({
+      hotels: [{
+        propertyCurrency: 'USD',
+        productDefinitions: [],
+        ratePlanDefinitions: [],
+        rateDetails: {
+          offers: [
+            { ratePlanCode: 'IGCOR', productUses: [room('100'), room('140')] },
+            {
+              ratePlanCode: 'IVANI',
+              productUses: [{ inventoryTypeCode: 'KNGN' }, { inventoryTypeCode: 'KNGN' }],
+              rewardNights: {
+                pointsOnly: { averageDailyPoints: 30000 },
+                pointsCash: { options: [{ averageDailyPoints: 15000, averageDailyCash: 50 }] }
+              }
+            }
+          ]
+        }
+      }]
+    }))
+  })
+
+  const stayPrices = await trippe.getStayPrices('ANRAW', { checkinDate: '2030-03-01', rooms: [{ adults: 2 }, { adults: 2 }] })
+  const analysis = analyzeRedemptions(stayPrices, { productCode: 'KNGN' })
+
+  t.deepEqual(analysis.cashRate, { rateCode: 'IGCOR', cashPrice: 120, hotelCurrencyCode: 'USD', convertedCashPrice: 120 })
+  t.deepEqual(analysis.redemptions, [
+    { rank: 1, rateCode: 'IVANI', points: 15000, copay: 50, cashSaved: 70, centsPerPoint: 0.47 },
+    { rank: 2, rateCode: 'IVANI', points: 30000, copay: 0, cashSaved: 120, centsPerPoint: 0.4 }
+  ])
+})
+
+test('[analyzeRedemptions] Throws when an exchange rate is missing', (t) => {
+  const stayPrices = {
+    currency: 'JPY',
+    prices: [{ productCode: 'KNGN', rateCode: 'IGCOR', cashPrice: 30000, points: null }]
+  }
+
+  t.throws(() => {
+    analyzeRedemptions(stayPrices, { productCode: 'KNGN' })
+  }, {
+    instanceOf: ValidationError,
+    message: 'No exchange rate provided for JPY'
+  })
+})
+
+test('[constructor] Throws when targetCurrency is set without exchangeRates', (t) => {
+  t.throws(() => {
+    // eslint-disable-next-line no-unused-vars
+    const trippe = new Trippe('API_KEY', { targetCurrency: 'EUR' })
+  }, {
+    instanceOf: ValidationError,
+    message: 'exchangeRates is required to convert prices to targetCurrency'
+  })
+})
+
+test('[getLowestHotelPrices] Converts prices to the targetCurrency', async (t) => {
+  const trippe = new Trippe('API_KEY', {
+    exchangeRates: new StaticRateProvider({ EUR: 0.8, GBP: 0.5 }, { date: '2030-02-01' }),
+    transport: mockTransport(() => ({
+      hotels: [{
+        hotelCode: 'ANRAW',
+        currencyCode: 'EUR',
+        rates: [{ ratePlanCode: 'IGCOR', windows: [{ startDate: '2030-03-01T00:00:00Z', totalAmount: 150 }] }]
+      }]
+    }))
+  })
+
+  const hotelPrices = await trippe.getLowestHotelPrices('ANRAW', { startDate: '2030-03-01', endDate: '2030-03-01', targetCurrency: 'GBP' })
+
+  t.is(hotelPrices.currencyCode, 'EUR')
+  t.is(hotelPrices.prices[0].cashPrice, 150)
+  t.is(hotelPrices.prices[0].convertedCashPrice, 93.75)
+  t.deepEqual(hotelPrices.conversion, { currencyCode: 'GBP', rateDate: '2030-02-01' })
+})
+
+test('[constructor] Converts prices to the currency of the locale when no targetCurrency is set', async (t) => {
+  const trippe = new Trippe('API_KEY', {
+    locale: 'en-GB',
+    exchangeRates: new StaticRateProvider({ EUR: 0.8, GBP: 0.5 }, { date: '2030-02-01' }),
+    transport: mockTransport(() => ({
+      hotels: [{
+        hotelCode: 'ANRAW',
+        currencyCode: 'EUR',
+        rates: [{ ratePlanCode: 'IGCOR', windows: [{ startDate: '2030-03-01T00:00:00Z', totalAmount: 150 }] }]
+      }]
+    }))
+  })
+
+  const hotelPrices = await trippe.getLowestHotelPrices('ANRAW', { startDate: '2030-03-01', endDate: '2030-03-01' })
+
+  t.is(hotelPrices.prices[0].convertedCashPrice, 93.75)
+  t.is(hotelPrices.conversion.currencyCode, 'GBP')
+})
+
+test('[constructor] Throws when locale is invalid', (t) => {
+  t.throws(() => {
+    // eslint-disable-next-line no-unused-vars
+    const trippe = new Trippe('API_KEY', { locale: 'french' })
+  }, {
+    instanceOf: ValidationError,
+    message: 'Invalid value for locale (should be a language and country code such as fr-FR)'
+  })
+})
+
+test('[getDestinations] Passes the locale of the client or the call to the API', async (t) => {
+  const searches = []
+
+  const trippe = new Trippe('API_KEY', {
+    locale: 'de-DE',
+    transport: mockTransport((request) => {
+      searches.push(new URL(request.url).search)
+      return []
+    })
+  })
+
+  await trippe.getDestinations('München')
+  await trippe.getDestinations('São Paulo', { locale: 'pt_br' })
+
+  t.deepEqual(searches, [
+    '?destination=M%C3%BCnchen&locale=de-DE',
+    '?destination=S%C3%A3o%20Paulo&locale=pt-BR'
+  ])
+})
+
+test('[getBookingPageUrl] Links to the site of the market and language of the locale', (t) => {
+  const dates = { checkinDate: '2030-03-01', checkoutDate: '2030-03-03' }
+
+  t.true(new Trippe('API_KEY').getBookingPageUrl('TYOHB', dates).startsWith('https://www.ihg.com/hotels/us/en/find-hotels/'))
+  t.true(new Trippe('API_KEY', { locale: 'ja-JP' }).getBookingPageUrl('TYOHB', dates).startsWith('https://www.ihg.com/hotels/jp/ja/find-hotels/'))
+  t.true(new Trippe('API_KEY', { locale: 'ja-JP' }).getBookingPageUrl('TYOHB', { ...dates, locale: 'fr-BE' }).startsWith('https://www.ihg.com/hotels/be/fr/find-hotels/'))
+})
+
+test('[getBookingPageUrl] Adds rooms, rate, corporate id and points mode to the link', (t) => {
+  const trippe = new Trippe('API_KEY')
+  const url = new URL(trippe.getBookingPageUrl('anraw', {
+    checkinDate: '2030-03-01',
+    checkoutDate: '2030-03-03',
+    adults: 2,
+    numberOfRooms: 3,
+    rateCode: 'idme0',
+    corporateId: '100234567',
+    pointsMode: true
+  }))
+
+  t.is(url.searchParams.get('qSlH'), 'ANRAW')
+  t.is(url.searchParams.get('qRms'), '3')
+  t.is(url.searchParams.get('qCiMy'), '022030')
+  t.is(url.searchParams.get('qRtP'), 'IDME0')
+  t.is(url.searchParams.get('qCpid'), '100234567')
+  t.is(url.searchParams.get('qpMn'), '1')
+  t.false(url.searchParams.has('qRpn'))
+})
+
+test('[getBookingPageUrl] Throws on invalid stays instead of building a broken link', (t) => {
+  const trippe = new Trippe('API_KEY')
+
+  t.throws(() => trippe.getBookingPageUrl('ANRAW', { checkinDate: '2030-02-30' }), {
+    instanceOf: ValidationError,
+    message: 'Invalid value for checkinDate (should be formatted as YYYY-MM-DD)'
+  })
+
+  t.throws(() => trippe.getBookingPageUrl('ANRAW', { checkinDate: '2030-03-03', checkoutDate: '2030-03-01' }), { message: 'checkoutDate should be after checkinDate' })
+  t.throws(() => trippe.getBookingPageUrl('ANRAW', { checkinDate: '2030-03-01', numberOfRooms: 10 }), { message: 'Invalid value for numberOfRooms (should be a whole number from 1 to 9)' })
+  t.throws(() => trippe.getBookingPageUrl('ANRAW', { checkinDate: '2030-03-01', rateCode: 'IGCOR', rewardNights: true }), { message: 'rateCode and rewardNights can not be combined' })
+
+  const error = t.throws(() => trippe.getBookingPageUrl('ANR', { checkinDate: '2030-03-01' }))
+  t.is(error.methodName, 'getBookingPageUrl')
+})
+
+test('[parseBookingPageUrl] Turns a booking page URL back into the stay', (t) => {
+  const options = {
+    checkinDate: '2030-12-30',
+    checkoutDate: '2031-01-02',
+    adults: 2,
+    children: 1,
+    numberOfRooms: 2,
+    rateCode: null,
+    rewardNights: true,
+    corporateId: null,
+    pointsMode: false,
+    locale: 'pt-BR'
+  }
+
+  const url = new Trippe('API_KEY').getBookingPageUrl('SAOHB', options)
+
+  t.deepEqual(parseBookingPageUrl(url), {
+    hotelCode: 'SAOHB',
+    ...options,
+    rooms: [{ adults: 2, children: 1 }, { adults: 2, children: 1 }],
+    rateCodes: 'reward'
+  })
+  t.deepEqual(parseBookingPageUrl('https://www.ihg.com/hotels/gb/en/find-hotels/select-roomrate?qSlH=lonhb&qCiD=1&qCiMy=002031&qCoD=3&qCoMy=002031'), {
+    hotelCode: 'LONHB',
+    checkinDate: '2031-01-01',
+    checkoutDate: '2031-01-03',
+    adults: 1,
+    children: 0,
+    numberOfRooms: 1,
+    rateCode: null,
+    rewardNights: false,
+    corporateId: null,
+    pointsMode: false,
+    locale: 'en-GB',
+    rooms: [{ adults: 1, children: 0 }],
+    rateCodes: 'reward'
+  })
+})
+
+test('[parseBookingPageUrl] Reprices every room and the rate of a link', async (t) => {
+  const requests = []
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport((request) => {
+      requests.push(request)
+      return { hotels: [{ propertyCurrency: 'GBP', productDefinitions: [], ratePlanDefinitions: [], rateDetails: { offers: [] } }] }
+    })
+  })
+
+  const url = 'https://www.ihg.com/hotels/gb/en/find-hotels/select-roomrate?qSlH=LONHB&qAdlt=2&qRms=3&qRtP=IGCOR&qCiD=1&qCiMy=002031&qCoD=3&qCoMy=002031'
+  const { hotelCode, checkinDate, checkoutDate, rooms, rateCodes } = parseBookingPageUrl(url)
+
+  t.deepEqual(rateCodes, ['IGCOR'])
+
+  await trippe.getStayPrices(hotelCode, { checkinDate, checkoutDate, rooms, rateCodes })
+
+  const { products, rates } = requests[0].json
+  t.deepEqual(products.map(product => product.guestCounts.map(guestCount => guestCount.count)), [[2, 0], [2, 0], [2, 0]])
+  t.deepEqual(rates.ratePlanCodes, [{ internal: 'IGCOR' }])
+})
+
+test('[parseBookingPageUrl] Throws for URLs that are not booking pages', (t) => {
+  t.throws(() => parseBookingPageUrl('https://www.example.com/hotels/us/en/find-hotels/select-roomrate?qSlH=ANRAW'), {
+    instanceOf: ValidationError,
+    message: 'url should be the URL of a booking page on ihg.com'
+  })
+
+  t.throws(() => parseBookingPageUrl('https://www.ihg.com/hotels/us/en/find-hotels/select-roomrate?qSlH=ANRAW&qCiD=31&qCiMy=012030&qCoD=1&qCoMy=022030'), {
+    message: 'url should contain a hotel and valid check-in and check-out dates'
+  })
+})
+
+test('[parseBookingPageUrl] Throws for invalid numbers of guests and rooms', (t) => {
+  const url = 'https://www.ihg.com/hotels/gb/en/find-hotels/select-roomrate?qSlH=LONHB&qCiD=1&qCiMy=002031&qCoD=3&qCoMy=002031'
+
+  for (const [query, message] of [
+    ['qAdlt=two', 'Invalid value for adults (should be a whole number of at least 1)'],
+    ['qAdlt=', 'Invalid value for adults (should be a whole number of at least 1)'],
+    ['qAdlt=0', 'Invalid value for adults (should be a whole number of at least 1)'],
+    ['qChld=-1', 'Invalid value for children (should be a whole number of at least 0)'],
+    ['qChld=1.5', 'Invalid value for children (should be a whole number of at least 0)'],
+    ['qRms=0', 'Invalid value for numberOfRooms (should be a whole number from 1 to 9)'],
+    ['qRms=10', 'Invalid value for numberOfRooms (should be a whole number from 1 to 9)'],
+    ['qRms=x', 'Invalid value for numberOfRooms (should be a whole number from 1 to 9)']
+  ]) {
+    t.throws(() => parseBookingPageUrl(`${url}&${query}`), { instanceOf: ValidationError, message })
+  }
+})
+
+test('[getStayPrices] Converts cash and copay prices to the targetCurrency of the client', async (t) => {
+  const trippe = new Trippe('API_KEY', {
+    targetCurrency: 'EUR',
+    exchangeRates: new StaticRateProvider({ EUR: 0.8 }),
+    transport: mockTransport(() => ({
+      hotels: [{
+        propertyCurrency: 'USD',
+        productDefinitions: [],
+        ratePlanDefinitions: [],
+        rateDetails: {
+          offers: [{
+            ratePlanCode: 'IVANI',
+            productUses: [{ inventoryTypeCode: 'KNGN' }],
+            rewardNights: {
+              pointsOnly: { averageDailyPoints: 40000 },
+              pointsCash: { options: [{ averageDailyPoints: 20000, averageDailyCash: 100 }] }
+            }
+          }]
+        }
+      }]
+    }))
+  })
+
+  const stayPrices = await trippe.getStayPrices('ANRAW', { checkinDate: '2030-03-01' })
+
+  t.deepEqual(stayPrices.conversion, { currencyCode: 'EUR', rateDate: null })
+  t.deepEqual(stayPrices.prices[0].points.map(option => option.convertedCashPrice), [0, 80])
+})
+
+test('[calendarToCsv] Exports calendars with a stable column order', (t) => {
+  const calendar = {
+    hotelCode: 'ANRAW',
+    currencyCode: 'EUR',
+    prices: [{ isRestricted: false, checkinDate: '2030-03-01', lengthOfStay: 1, cashPrice: 135, points: null, cashRateCode: 'IDME0', pointsRateCode: null, convertedCashPrice: 146.74 }],
+    errors: [],
+    conversion: { currencyCode: 'USD', rateDate: null }
+  }
+
+  t.is(calendarToCsv(calendar), [
+    'hotelCode,checkinDate,lengthOfStay,currencyCode,cashPrice,cashRateCode,points,pointsRateCode,isRestricted,targetCurrencyCode,convertedCashPrice',
+    'ANRAW,2030-03-01,1,EUR,135,IDME0,,,false,USD,146.74',
+    ''
+  ].join('\n'))
+})
+
+test('[calendarToIcs] Exports reward nights as all-day events with a booking link', (t) => {
+  const calendar = {
+    hotelCode: 'ANRAW',
+    currencyCode: 'EUR',
+    prices: [
+      { checkinDate: '2030-03-01', lengthOfStay: 2, cashPrice: 135, points: 30000, cashRateCode: 'IDME0', pointsRateCode: 'IVANI', isRestricted: false },
+      { checkinDate: '2030-03-02', lengthOfStay: 2, cashPrice: 150, points: null, cashRateCode: 'IGCOR', pointsRateCode: null, isRestricted: false }
+    ],
+    errors: []
+  }
+
+  const ics = calendarToIcs(calendar)
+  const lines = ics.replace(/\r\n /g, '').split('\r\n')
+
+  t.is(lines.filter(line => line === 'BEGIN:VEVENT').length, 1)
+  t.true(lines.includes('DTSTART;VALUE=DATE:20300301'))
+  t.true(lines.includes('DTEND;VALUE=DATE:20300303'))
+  t.true(lines.includes(`URL:${new Trippe('API_KEY').getBookingPageUrl('ANRAW', { checkinDate: '2030-03-01', checkoutDate: '2030-03-03', rewardNights: true })}`))
+  t.true(ics.split('\r\n').every(line => line.length <= 75))
+})
+
+test('[Watcher] Throws when no watches are provided', (t) => {
+  t.throws(() => {
+    // eslint-disable-next-line no-unused-vars
+    const watcher = new Watcher(new Trippe('API_KEY'), { watches: [] })
+  }, {
+    instanceOf: ValidationError,
+    message: 'watches should be a non-empty array of objects with a non-empty array of hotelCodes'
+  })
+})
+
+test('[Watcher] Emits events for changes and persists the prices seen', async (t) => {
+  const directory = await mkdtemp(join(tmpdir(), 'trippe-'))
+  const checkinDate = dayjs().add(1, 'day').format('YYYY-MM-DD')
+  const responses = [[45000, 200], [35000, 200], [30000, 180], [null, 180]]
+  let points, cashPrice
+
+  const trippe = new Trippe('API_KEY', {
+    transport: mockTransport(() => ({
+      hotels: [{
+        hotelCode: 'ANRAW',
+        currencyCode: 'EUR',
+        rates: [
+          { ratePlanCode: 'IGCOR', windows: [{ startDate: `${checkinDate}T00:00:00Z`, totalAmount: cashPrice }] },
+          { ratePlanCode: 'IVANI', windows: points ? [{ startDate: `${checkinDate}T00:00:00Z`, totalPoints: points }] : [] }
+        ]
+      }]
+    }))
+  })
+
+  const options = {
+    watches: [{ hotelCodes: ['ANRAW'], startDate: checkinDate, endDate: checkinDate }],
+    stateFile: join(directory, 'state.json'),
+    thresholds: { maxPoints: 40000 }
+  }
+
+  const types = []
+  for (const response of responses) {
+    [points, cashPrice] = response
+
+    // A new watcher for every check, so state has to survive through the stateFile
+    const watcher = new Watcher(trippe, options)
+    const { events } = await watcher.check()
+    types.push(events.map(event => event.type))
+  }
+
+  t.deepEqual(types, [[], ['rewardAvailable'], ['pointsDrop', 'cashDrop'], ['rewardGone']])
+})
+
+test('[cli] Prints the booking page URL', async (t) => {
+  const { stdout } = await promisify(execFile)('node', ['cli.js', 'book-url', 'ANRAW', '--checkin-date', '2030-03-01', '--adults=2'], {
+    env: { ...process.env, TRIPPE_API_KEY: 'API_KEY' }
+  })
+
+  t.is(stdout.trim(), new Trippe('API_KEY').getBookingPageUrl('ANRAW', { checkinDate: '2030-03-01', adults: 2 }))
+})
+
+test('[cli] Validates arguments with the rules of the library', async (t) => {
+  const error = await t.throwsAsync(promisify(execFile)('node', ['cli.js', 'calendar', 'ANRAW', '--length-of-stay', '40'], {
+    env: { ...process.env, TRIPPE_API_KEY: 'API_KEY' }
+  }))
+
+  t.is(error.code, 1)
+  t.true(error.stderr.startsWith('trippe: Invalid value for lengthOfStay'))
+})
+
+test('[cli] Fails when no hotel of a calendar could be priced', async (t) => {
+  // The key is refused (or the API can't be reached), so every hotel fails as a whole
+  for (const hotelCodes of [['ANRAW'], ['ANRAW', 'ANTHI']]) {
+    const error = await t.throwsAsync(promisify(execFile)('node', ['cli.js', 'calendar', ...hotelCodes, '--start-date', '2030-01-01', '--end-date', '2030-01-02'], {
+      env: { ...process.env, TRIPPE_API_KEY: 'API_KEY' }
+    }))
+
+    t.is(error.code, 1)
+  }
+})
+
+function mockTransport (handler) {
+  return (request) => Promise.resolve(handler(request))
+    .then(result => {
+      const [statusCode, body] = Array.isArray(result) && typeof result[0] === 'number' ? result : [200, result]
+      return { statusCode, headers: {}, body: JSON.stringify(body) }
+    })
+}
+
+function getWindowParams (request) {
+  const params = new URL(request.url).searchParams
+
+  return {
+    hotelCodes: params.get('hotelCodes'),
+    startDate: params.get('startDate').substring(0, 10),
+    endDate: params.get('endDate').substring(0, 10),
+    lengthOfStay: params.get('lengthOfStay')
+  }
+}
+
+function mockWindows (request, getCashPrice) {
+  const { hotelCodes, startDate, endDate, lengthOfStay } = getWindowParams(request)
+  const dates = Array.from({ length: dayjs(endDate).diff(startDate, 'day') + 1 }, (u, i) => dayjs(startDate).add(i, 'day').format('YYYY-MM-DD'))
+
+  return {
+    hotels: hotelCodes.split(',').map(hotelCode => ({
+      hotelCode,
+      currencyCode: 'EUR',
+      rates: [{
+        ratePlanCode: 'IGCOR',
+        windows: dates
+          .map(date => ({ startDate: `${date}T00:00:00Z`, totalAmount: getCashPrice(hotelCode, date, +lengthOfStay) }))
+          .filter(window => window.totalAmount !== null)
+      }]
+    }))
+  }
+}
+
 function getObjectTypes (obj) {
   return Object.fromEntries(Object.entries(obj)
     .map(([key, value]) => [key, Array.isArray(value) ? 'array' : typeof value])